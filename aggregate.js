@@ -0,0 +1,680 @@
+/**************************************************************************************************
+ *  NodeJS API for EJDB database library http://ejdb.org
+ *  Copyright (C) 2012-2015 Softmotions Ltd <info@softmotions.com>
+ *
+ *  This file is part of EJDB.
+ *  EJDB is free software; you can redistribute it and/or modify it under the terms of
+ *  the GNU Lesser General Public License as published by the Free Software Foundation; either
+ *  version 2.1 of the License or any later version.  EJDB is distributed in the hope
+ *  that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Lesser General Public
+ *  License for more details.
+ *  You should have received a copy of the GNU Lesser General Public License along with EJDB;
+ *  if not, write to the Free Software Foundation, Inc., 59 Temple Place, Suite 330,
+ *  Boston, MA 02111-1307 USA.
+ *************************************************************************************************/
+
+/**
+ * Aggregation pipeline used by `EJDB#aggregate()`.
+ *
+ * Leading `$match`, `$sort`, `$skip` and `$limit` stages are converted into
+ * the query object and hints of native query, the rest of stages
+ * process query results one by one.
+ */
+
+/**
+ * Compiled aggregation pipeline.
+ *
+ * Usage: feed query results by `push()` while it returns `true`,
+ * then call `end()` to obtain aggregation results.
+ *
+ * @param {Array} pipeline Array of stage objects
+ * @class
+ */
+function Pipeline(pipeline) {
+    if (!Array.isArray(pipeline)) {
+        throw new Error("Aggregation 'pipeline' argument must be an array of stages");
+    }
+    this.qobj = {}; //Query object of native query
+    this.hints = {}; //Query hints of native query
+    this.results = [];
+    var self = this;
+    var stages = pipeline.map(function(stage) {
+        var names = stage ? Object.keys(stage) : [];
+        if (names.length !== 1) {
+            throw new Error("Aggregation stage must have exactly one field: " + JSON.stringify(stage));
+        }
+        if (!STAGES[names[0]]) {
+            throw new Error("Unknown aggregation stage: '" + names[0] + "'");
+        }
+        return [names[0], stage[names[0]]];
+    });
+    var i = pushdown(stages, this.qobj, this.hints);
+    var head = {
+        push : function(doc) {
+            self.results.push(doc);
+            return true;
+        },
+        end : function() {
+        }
+    };
+    for (var j = stages.length - 1; j >= i; --j) {
+        head = STAGES[stages[j][0]](stages[j][1], head);
+    }
+    this._head = head;
+}
+
+/**
+ * Process next query result.
+ * @param {Object} doc
+ * @return {Boolean} false if pipeline does not need more results
+ */
+Pipeline.prototype.push = function(doc) {
+    return this._head.push(doc);
+};
+
+/**
+ * Finish processing.
+ * @return {Array} aggregation results
+ */
+Pipeline.prototype.end = function() {
+    this._head.end();
+    return this.results;
+};
+
+/**
+ * Move leading stages into native query object and hints.
+ * @return {Number} index of the first not converted stage
+ */
+function pushdown(stages, qobj, hints) {
+    var order = ["$match", "$sort", "$skip", "$limit"]; //allowed order of converted stages
+    var pos = 0;
+    for (var i = 0; i < stages.length; ++i) {
+        var name = stages[i][0];
+        var spec = stages[i][1];
+        var idx = order.indexOf(name, pos);
+        if (idx === -1) {
+            return i;
+        }
+        switch (name) {
+            case "$match":
+                for (var k in spec) {
+                    qobj[k] = spec[k];
+                }
+                break;
+            case "$sort":
+                hints["$orderby"] = spec;
+                break;
+            case "$skip":
+                hints["$skip"] = spec;
+                break;
+            case "$limit":
+                hints["$max"] = spec;
+                break;
+        }
+        pos = idx + 1;
+    }
+    return stages.length;
+}
+
+/**
+ * Stage factories: function(spec, next) returning stage object
+ * with `push(doc)` and `end()` methods.
+ */
+var STAGES = {
+    "$match" : function(spec, next) {
+        return {
+            push : function(doc) {
+                return match(doc, spec) ? next.push(doc) : true;
+            },
+            end : function() {
+                next.end();
+            }
+        };
+    },
+
+    "$project" : function(spec, next) {
+        var include = [];
+        var exclude = [];
+        var computed = [];
+        var withId = true;
+        Object.keys(spec).forEach(function(k) {
+            var v = spec[k];
+            splitPath(k);
+            if (k === "_id" && (v === 0 || v === false)) {
+                withId = false;
+            } else if (v === 0 || v === false) {
+                exclude.push(k);
+            } else if (v === 1 || v === true) {
+                include.push(k);
+            } else {
+                computed.push(k);
+            }
+        });
+        if (exclude.length && (include.length || computed.length)) {
+            throw new Error("$project stage cannot mix field inclusion and exclusion");
+        }
+        return {
+            push : function(doc) {
+                var ret;
+                if (exclude.length || (!include.length && !computed.length)) {
+                    ret = clone(doc);
+                    exclude.forEach(function(p) {
+                        unsetPath(ret, p);
+                    });
+                } else {
+                    ret = {};
+                    if (doc["_id"] !== undefined) {
+                        ret["_id"] = doc["_id"];
+                    }
+                    include.forEach(function(p) {
+                        var v = getPath(doc, p);
+                        if (v !== undefined) {
+                            setPath(ret, p, v);
+                        }
+                    });
+                    computed.forEach(function(p) {
+                        setPath(ret, p, evaluate(doc, spec[p]));
+                    });
+                }
+                if (!withId) {
+                    delete ret["_id"];
+                }
+                return next.push(ret);
+            },
+            end : function() {
+                next.end();
+            }
+        };
+    },
+
+    "$group" : function(spec, next) {
+        if (!spec || !spec.hasOwnProperty("_id")) {
+            throw new Error("$group stage must specify '_id' field");
+        }
+        var fields = Object.keys(spec).filter(function(k) {
+            return k !== "_id";
+        }).map(function(k) {
+            var acc = spec[k] && Object.keys(spec[k]);
+            if (!acc || acc.length !== 1 || !ACCUMULATORS[acc[0]]) {
+                throw new Error("Invalid $group accumulator of field '" + k + "'");
+            }
+            return [k, ACCUMULATORS[acc[0]], spec[k][acc[0]]];
+        });
+        var groups = {};
+        var keys = []; //keys in order of appearance
+        return {
+            push : function(doc) {
+                var id = evaluate(doc, spec["_id"]);
+                var key = JSON.stringify(id === undefined ? null : id);
+                var g = groups[key];
+                if (!g) {
+                    g = groups[key] = {"_id" : (id === undefined ? null : id), "accs" : fields.map(function(f) {
+                        return f[1]();
+                    })};
+                    keys.push(key);
+                }
+                for (var i = 0; i < fields.length; ++i) {
+                    g.accs[i].add(evaluate(doc, fields[i][2]));
+                }
+                return true;
+            },
+            end : function() {
+                for (var i = 0; i < keys.length; ++i) {
+                    var g = groups[keys[i]];
+                    var ret = {"_id" : g["_id"]};
+                    for (var j = 0; j < fields.length; ++j) {
+                        ret[fields[j][0]] = g.accs[j].value();
+                    }
+                    if (!next.push(ret)) {
+                        break;
+                    }
+                }
+                groups = null;
+                next.end();
+            }
+        };
+    },
+
+    "$sort" : function(spec, next) {
+        var paths = Object.keys(spec);
+        var docs = [];
+        return {
+            push : function(doc) {
+                docs.push(doc);
+                return true;
+            },
+            end : function() {
+                docs.sort(function(a, b) {
+                    for (var i = 0; i < paths.length; ++i) {
+                        var r = compare(getPath(a, paths[i]), getPath(b, paths[i]));
+                        if (r !== 0) {
+                            return (spec[paths[i]] < 0) ? -r : r;
+                        }
+                    }
+                    return 0;
+                });
+                for (var i = 0; i < docs.length; ++i) {
+                    if (!next.push(docs[i])) {
+                        break;
+                    }
+                }
+                docs = null;
+                next.end();
+            }
+        };
+    },
+
+    "$skip" : function(spec, next) {
+        var skipped = 0;
+        return {
+            push : function(doc) {
+                if (skipped < spec) {
+                    ++skipped;
+                    return true;
+                }
+                return next.push(doc);
+            },
+            end : function() {
+                next.end();
+            }
+        };
+    },
+
+    "$limit" : function(spec, next) {
+        var count = 0;
+        return {
+            push : function(doc) {
+                if (count >= spec) {
+                    return false;
+                }
+                ++count;
+                return next.push(doc) && count < spec;
+            },
+            end : function() {
+                next.end();
+            }
+        };
+    },
+
+    "$unwind" : function(spec, next) {
+        var path = (typeof spec === "string") ? spec : spec["path"];
+        var preserve = (typeof spec === "object" && !!spec["preserveNullAndEmptyArrays"]);
+        if (typeof path !== "string" || path.charAt(0) !== "$") {
+            throw new Error("$unwind stage path must be a string starting with '$'");
+        }
+        path = path.substring(1);
+        splitPath(path);
+        return {
+            push : function(doc) {
+                var arr = getPath(doc, path);
+                if (!Array.isArray(arr)) {
+                    if (arr != null) {
+                        return next.push(doc);
+                    }
+                    return preserve ? next.push(doc) : true;
+                }
+                if (arr.length === 0) {
+                    return preserve ? next.push(doc) : true;
+                }
+                for (var i = 0; i < arr.length; ++i) {
+                    var ret = clone(doc);
+                    setPath(ret, path, arr[i]);
+                    if (!next.push(ret)) {
+                        return false;
+                    }
+                }
+                return true;
+            },
+            end : function() {
+                next.end();
+            }
+        };
+    },
+
+    "$count" : function(spec, next) {
+        if (typeof spec !== "string" || spec.length === 0) {
+            throw new Error("$count stage must specify the name of output field");
+        }
+        var count = 0;
+        return {
+            push : function() {
+                ++count;
+                return true;
+            },
+            end : function() {
+                var ret = {};
+                ret[spec] = count;
+                next.push(ret);
+                next.end();
+            }
+        };
+    }
+};
+
+/**
+ * $group accumulators factories.
+ */
+var ACCUMULATORS = {
+    "$sum" : function() {
+        var sum = 0;
+        return {
+            add : function(v) {
+                if (typeof v === "number") {
+                    sum += v;
+                }
+            },
+            value : function() {
+                return sum;
+            }
+        };
+    },
+    "$avg" : function() {
+        var sum = 0, count = 0;
+        return {
+            add : function(v) {
+                if (typeof v === "number") {
+                    sum += v;
+                    ++count;
+                }
+            },
+            value : function() {
+                return count ? sum / count : null;
+            }
+        };
+    },
+    "$min" : function() {
+        var min;
+        return {
+            add : function(v) {
+                if (v != null && (min === undefined || compare(v, min) < 0)) {
+                    min = v;
+                }
+            },
+            value : function() {
+                return (min === undefined) ? null : min;
+            }
+        };
+    },
+    "$max" : function() {
+        var max;
+        return {
+            add : function(v) {
+                if (v != null && (max === undefined || compare(v, max) > 0)) {
+                    max = v;
+                }
+            },
+            value : function() {
+                return (max === undefined) ? null : max;
+            }
+        };
+    },
+    "$first" : function() {
+        var first, set = false;
+        return {
+            add : function(v) {
+                if (!set) {
+                    first = v;
+                    set = true;
+                }
+            },
+            value : function() {
+                return (first === undefined) ? null : first;
+            }
+        };
+    },
+    "$last" : function() {
+        var last;
+        return {
+            add : function(v) {
+                last = v;
+            },
+            value : function() {
+                return (last === undefined) ? null : last;
+            }
+        };
+    },
+    "$push" : function() {
+        var arr = [];
+        return {
+            add : function(v) {
+                if (v !== undefined) {
+                    arr.push(v);
+                }
+            },
+            value : function() {
+                return arr;
+            }
+        };
+    },
+    "$addToSet" : function() {
+        var arr = [];
+        var keys = {};
+        return {
+            add : function(v) {
+                var key = JSON.stringify(v);
+                if (v !== undefined && !keys.hasOwnProperty(key)) {
+                    keys[key] = true;
+                    arr.push(v);
+                }
+            },
+            value : function() {
+                return arr;
+            }
+        };
+    }
+};
+
+/**
+ * Evaluate expression: `"$field.path"` strings are field values,
+ * objects are evaluated field by field, other values are literals.
+ */
+function evaluate(doc, expr) {
+    if (typeof expr === "string" && expr.charAt(0) === "$") {
+        return getPath(doc, expr.substring(1));
+    }
+    if (expr != null && typeof expr === "object" && !Array.isArray(expr) &&
+        !(expr instanceof Date) && !(expr instanceof RegExp)) {
+        var ret = {};
+        for (var k in expr) {
+            ret[k] = evaluate(doc, expr[k]);
+        }
+        return ret;
+    }
+    return expr;
+}
+
+/**
+ * Match document against query object of `$match` stage not converted into native query.
+ * Supported operations: field equality, `$ne`, `$gt`, `$gte`, `$lt`, `$lte`,
+ * `$in`, `$nin`, `$bt`, `$exists`, `$begin`, `$not`, `$and`, `$or`.
+ */
+function match(doc, qobj) {
+    for (var k in qobj) {
+        var cond = qobj[k];
+        if (k === "$and") {
+            if (!cond.every(function(q) {
+                    return match(doc, q);
+                })) {
+                return false;
+            }
+        } else if (k === "$or") {
+            if (!cond.some(function(q) {
+                    return match(doc, q);
+                })) {
+                return false;
+            }
+        } else if (!matchValue(getPath(doc, k), cond)) {
+            return false;
+        }
+    }
+    return true;
+}
+
+function matchValue(val, cond) {
+    if (cond instanceof RegExp) {
+        return typeof val === "string" && cond.test(val);
+    }
+    if (cond == null || typeof cond !== "object" || Array.isArray(cond) || cond instanceof Date ||
+        !Object.keys(cond).some(function(k) {
+            return k.charAt(0) === "$";
+        })) {
+        return equals(val, cond) || (Array.isArray(val) && val.some(function(v) {
+                return equals(v, cond);
+            }));
+    }
+    return Object.keys(cond).every(function(op) {
+        var arg = cond[op];
+        switch (op) {
+            case "$ne":
+                return !matchValue(val, arg);
+            case "$not":
+                return !matchValue(val, arg);
+            case "$gt":
+                return val != null && compare(val, arg) > 0;
+            case "$gte":
+                return val != null && compare(val, arg) >= 0;
+            case "$lt":
+                return val != null && compare(val, arg) < 0;
+            case "$lte":
+                return val != null && compare(val, arg) <= 0;
+            case "$bt":
+                return val != null && compare(val, arg[0]) >= 0 && compare(val, arg[1]) <= 0;
+            case "$in":
+                return arg.some(function(a) {
+                    return matchValue(val, a);
+                });
+            case "$nin":
+                return !arg.some(function(a) {
+                    return matchValue(val, a);
+                });
+            case "$exists":
+                return (val !== undefined) === !!arg;
+            case "$begin":
+                return typeof val === "string" && val.indexOf(arg) === 0;
+            default:
+                throw new Error("Unsupported $match operation: '" + op + "'");
+        }
+    });
+}
+
+function equals(a, b) {
+    return compare(a, b) === 0;
+}
+
+/**
+ * Compare values: null/undefined < numbers < strings < objects < arrays < booleans < dates.
+ */
+function compare(a, b) {
+    var ra = rank(a), rb = rank(b);
+    if (ra !== rb) {
+        return ra - rb;
+    }
+    if (a instanceof Date) {
+        a = a.getTime();
+        b = b.getTime();
+    } else if (ra === 3 || ra === 4) {
+        a = JSON.stringify(a);
+        b = JSON.stringify(b);
+    } else if (ra === 0) {
+        return 0;
+    }
+    return (a < b) ? -1 : ((a > b) ? 1 : 0);
+}
+
+function rank(v) {
+    if (v == null) {
+        return 0;
+    }
+    switch (typeof v) {
+        case "number":
+            return 1;
+        case "string":
+            return 2;
+        case "boolean":
+            return 5;
+    }
+    if (v instanceof Date) {
+        return 6;
+    }
+    return Array.isArray(v) ? 4 : 3;
+}
+
+function getPath(doc, path) {
+    var parts = path.split(".");
+    var v = doc;
+    for (var i = 0; i < parts.length; ++i) {
+        if (v == null || typeof v !== "object") {
+            return undefined;
+        }
+        v = v[parts[i]];
+    }
+    return v;
+}
+
+/**
+ * Path segments which would modify object prototypes.
+ */
+var UNSAFE_SEGMENTS = ["__proto__", "constructor", "prototype"];
+
+/**
+ * Split dotted field path into segments.
+ * Error is thrown for `__proto__`, `constructor` and `prototype` segments.
+ */
+function splitPath(path) {
+    var parts = path.split(".");
+    for (var i = 0; i < parts.length; ++i) {
+        if (UNSAFE_SEGMENTS.indexOf(parts[i]) !== -1) {
+            throw new Error("Invalid field path: '" + path + "'");
+        }
+    }
+    return parts;
+}
+
+function setPath(doc, path, val) {
+    var parts = splitPath(path);
+    var v = doc;
+    for (var i = 0; i < parts.length - 1; ++i) {
+        if (v[parts[i]] == null || typeof v[parts[i]] !== "object") {
+            v[parts[i]] = {};
+        }
+        v = v[parts[i]];
+    }
+    v[parts[parts.length - 1]] = val;
+}
+
+function unsetPath(doc, path) {
+    var parts = splitPath(path);
+    var v = doc;
+    for (var i = 0; i < parts.length - 1; ++i) {
+        v = v[parts[i]];
+        if (v == null || typeof v !== "object") {
+            return;
+        }
+    }
+    delete v[parts[parts.length - 1]];
+}
+
+/**
+ * Copy of object with copied nested objects
+ * (only plain objects are copied).
+ */
+function clone(doc) {
+    if (doc == null || typeof doc !== "object" || doc instanceof Date ||
+        doc instanceof RegExp || Buffer.isBuffer(doc)) {
+        return doc;
+    }
+    if (Array.isArray(doc)) {
+        return doc.map(clone);
+    }
+    var ret = {};
+    for (var k in doc) {
+        ret[k] = clone(doc[k]);
+    }
+    return ret;
+}
+
+module.exports.Pipeline = Pipeline;
+module.exports.getPath = getPath;
+module.exports.compare = compare;
+module.exports.setPath = setPath;
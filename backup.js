@@ -0,0 +1,532 @@
+/**************************************************************************************************
+ *  NodeJS API for EJDB database library http://ejdb.org
+ *  Copyright (C) 2012-2015 Softmotions Ltd <info@softmotions.com>
+ *
+ *  This file is part of EJDB.
+ *  EJDB is free software; you can redistribute it and/or modify it under the terms of
+ *  the GNU Lesser General Public License as published by the Free Software Foundation; either
+ *  version 2.1 of the License or any later version.  EJDB is distributed in the hope
+ *  that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Lesser General Public
+ *  License for more details.
+ *  You should have received a copy of the GNU Lesser General Public License along with EJDB;
+ *  if not, write to the Free Software Foundation, Inc., 59 Temple Place, Suite 330,
+ *  Boston, MA 02111-1307 USA.
+ *************************************************************************************************/
+
+/**
+ * Online backup and restore used by `EJDB#backup()`, `EJDB.verifyBackup()` and `EJDB.restore()`.
+ *
+ * Backup holds write lock of database (`db._lock`) while database files are copied,
+ * methods modifying database are wrapped by `lockMethods()` to respect it.
+ */
+
+var path = require('path');
+var crypto = require('crypto');
+var fs = require('fs');
+
+/**
+ * Methods modifying database which are locked while backup is in progress.
+ * Calls with callback are deferred until backup is finished,
+ * blocking calls throw error.
+ * Transaction commit and rollback are not locked: transactions
+ * started before backup are completed before files are copied.
+ */
+var LOCKED_METHODS = [
+    "ensureCollection", "dropCollection", "save", "remove", "update", "bulkWrite", "findAndModify",
+    "dropIndexes", "optimizeIndexes",
+    "ensureStringIndex", "rebuildStringIndex", "dropStringIndex",
+    "ensureIStringIndex", "rebuildIStringIndex", "dropIStringIndex",
+    "ensureNumberIndex", "rebuildNumberIndex", "dropNumberIndex",
+    "ensureArrayIndex", "rebuildArrayIndex", "dropArrayIndex",
+    "configureCollection"
+];
+
+/**
+ * Wrap method `fn` to respect backup lock and to track pending async calls.
+ * @param {Function} fn
+ * @return {Function}
+ */
+function lockedMethod(fn) {
+    var locked = function() {
+        var self = this;
+        var lock = this._lock;
+        var args = Array.prototype.slice.call(arguments);
+        var cb = args[args.length - 1];
+        if (typeof cb !== "function") {
+            if (lock.queue) {
+                throw new Error("Database is locked by backup in progress");
+            }
+            return fn.apply(this, args);
+        }
+        if (lock.queue) {
+            lock.queue.push(function() {
+                try {
+                    locked.apply(self, args);
+                } catch (err) {
+                    cb(err);
+                }
+            });
+            return;
+        }
+        args[args.length - 1] = function() {
+            if (--lock.writes === 0 && lock.drained) {
+                process.nextTick(lock.drained);
+                lock.drained = null;
+            }
+            cb.apply(this, arguments);
+        };
+        ++lock.writes;
+        try {
+            return fn.apply(this, args);
+        } catch (err) {
+            --lock.writes;
+            throw err;
+        }
+    };
+    return locked;
+}
+
+/**
+ * Wrap methods of `proto` listed in `LOCKED_METHODS` by `lockedMethod()`.
+ * @param {Object} proto
+ */
+function lockMethods(proto) {
+    LOCKED_METHODS.forEach(function(mname) {
+        proto[mname] = lockedMethod(proto[mname]);
+    });
+}
+
+/**
+ * Make online backup of database `db` into `targetDir`, see `EJDB#backup()`.
+ *
+ * Options (opts):
+ *  {
+ *      "manifest" : Name of the manifest file,
+ *      "txTimeout" : Maximum time in milliseconds to wait for active transactions,
+ *      "pollInterval" : Interval in milliseconds of checks for active transactions
+ *  }
+ *
+ * @param {EJDB} db
+ * @param {String} targetDir Backup directory
+ * @param {Object} opts Backup options
+ * @param {Function} cb Callback function with arguments: (error, manifest)
+ */
+function backup(db, targetDir, opts, cb) {
+    var lock = db._lock;
+    if (lock.backup) {
+        throw new Error("Backup is already in progress");
+    }
+    lock.backup = true;
+    var txTimeout = opts["txTimeout"];
+    var deadline = Date.now() + txTimeout;
+    var release = function() {
+        var queue = lock.queue;
+        lock.queue = null;
+        lock.drained = null;
+        queue.forEach(function(call) {
+            call();
+        });
+    };
+    var unlock = function(err, manifest) {
+        release();
+        lock.backup = false;
+        if (err) {
+            cb(err);
+        } else {
+            cb(null, manifest);
+        }
+    };
+    var retry = function() {
+        if (Date.now() >= deadline) {
+            lock.backup = false;
+            cb(new Error("Transactions are still active after " + txTimeout + "ms, backup is aborted"));
+            return;
+        }
+        setTimeout(wait, opts["pollInterval"]);
+    };
+    //Lock database when there are no active transactions
+    var wait = function() {
+        var active;
+        try {
+            active = activeTransactions(db);
+        } catch (err) {
+            lock.backup = false;
+            cb(err);
+            return;
+        }
+        if (active) {
+            retry();
+            return;
+        }
+        lock.queue = [];
+        if (lock.writes > 0) {
+            lock.drained = start;
+        } else {
+            start();
+        }
+    };
+    var start = function() {
+        //Transaction started by pending operations
+        var active;
+        try {
+            active = activeTransactions(db);
+        } catch (err) {
+            unlock(err);
+            return;
+        }
+        if (active) {
+            release();
+            retry();
+            return;
+        }
+        db.sync(function(err) {
+            var meta;
+            if (!err) {
+                try {
+                    meta = db.getDBMeta();
+                    if (!fs.existsSync(targetDir)) {
+                        fs.mkdirSync(targetDir);
+                    }
+                } catch (e) {
+                    err = e;
+                }
+            }
+            if (err) {
+                unlock(err);
+                return;
+            }
+            var main = meta["file"];
+            var files = metaFiles(meta);
+            var manifest = {
+                "format" : "ejdb-backup",
+                "version" : 1,
+                "created" : new Date().toISOString(),
+                "db" : path.basename(main),
+                "files" : []
+            };
+            var next = function(i) {
+                if (i >= files.length) {
+                    fs.writeFile(path.join(targetDir, opts["manifest"]),
+                        JSON.stringify(manifest, null, 2), function(err) {
+                            unlock(err, manifest);
+                        });
+                    return;
+                }
+                if (files[i].indexOf(main) !== 0) {
+                    unlock(new Error("Database file is not located along with the main file: " + files[i]));
+                    return;
+                }
+                var name = manifest["db"] + files[i].substring(main.length);
+                copyFile(files[i], path.join(targetDir, name), function(err, info) {
+                    if (err) {
+                        unlock(err);
+                        return;
+                    }
+                    manifest["files"].push({"name" : name, "size" : info.size, "sha256" : info.sha256});
+                    next(i + 1);
+                });
+            };
+            next(0);
+        });
+    };
+    wait();
+}
+
+/**
+ * Returns true if transaction of some collection is active.
+ * @private
+ */
+function activeTransactions(db) {
+    return db.getDBMeta()["collections"].some(function(c) {
+        return db.getTransactionStatus(c["name"]);
+    });
+}
+
+/**
+ * Check backup in `backupDir`, see `EJDB.verifyBackup()`.
+ *
+ * Options (opts):
+ *  {
+ *      "manifest" : Name of the manifest file
+ *  }
+ *
+ * @param {String} backupDir Backup directory
+ * @param {Object} opts Backup options
+ * @param {Function} cb Callback function with arguments: (error, manifest)
+ */
+function verify(backupDir, opts, cb) {
+    fs.readFile(path.join(backupDir, opts["manifest"]), "utf8", function(err, data) {
+        var manifest;
+        if (!err) {
+            try {
+                manifest = JSON.parse(data);
+                if (manifest == null || manifest["format"] !== "ejdb-backup" ||
+                    typeof manifest["db"] !== "string" || !Array.isArray(manifest["files"])) {
+                    throw new Error("Invalid backup manifest");
+                }
+            } catch (e) {
+                err = e;
+            }
+        }
+        if (err) {
+            cb(err);
+            return;
+        }
+        var problems = [];
+        var next = function(i) {
+            if (i >= manifest["files"].length) {
+                if (problems.length > 0) {
+                    err = new Error("Backup check failed: " + problems.map(function(p) {
+                            return p["name"] + ": " + p["message"];
+                        }).join(", "));
+                    err.problems = problems;
+                    cb(err);
+                } else {
+                    cb(null, manifest);
+                }
+                return;
+            }
+            var f = manifest["files"][i];
+            var name = f["name"];
+            if (typeof name !== "string" || path.basename(name) !== name || name.indexOf(manifest["db"]) !== 0) {
+                problems.push({"name" : String(name), "message" : "Invalid file name"});
+                next(i + 1);
+                return;
+            }
+            hashFile(path.join(backupDir, name), function(err, info) {
+                if (err) {
+                    problems.push({"name" : name, "message" : err.message});
+                } else if (info.size !== f["size"] || info.sha256 !== f["sha256"]) {
+                    problems.push({"name" : name, "message" : "Checksum mismatch"});
+                }
+                next(i + 1);
+            });
+        };
+        next(0);
+    });
+}
+
+/**
+ * Restore database `dbFile` from backup in `backupDir`, see `EJDB.restore()`.
+ *
+ * Options (opts):
+ *  {
+ *      "manifest" : Name of the manifest file,
+ *      "open" : Function opening existing database for reading: (dbFile, cb)
+ *  }
+ *
+ * @param {String} backupDir Backup directory
+ * @param {String} dbFile Database main file name
+ * @param {Object} opts Restore options
+ * @param {Function} cb Callback function with arguments: (error, manifest)
+ */
+function restore(backupDir, dbFile, opts, cb) {
+    verify(backupDir, opts, function(err, manifest) {
+        var stage;
+        if (!err) {
+            try {
+                stage = fs.mkdtempSync(dbFile + ".restore-");
+            } catch (e) {
+                err = e;
+            }
+        }
+        if (err) {
+            cb(err);
+            return;
+        }
+        var aside = null; //Directory of replaced database files
+        var files = manifest["files"].map(function(f) {
+            var target = dbFile + f["name"].substring(manifest["db"].length);
+            return {
+                src : path.join(backupDir, f["name"]),
+                target : target,
+                staged : path.join(stage, path.basename(target)),
+                info : f
+            };
+        });
+        var cleanup = function(err) {
+            try {
+                removeDir(stage);
+                if (aside) {
+                    removeDir(aside);
+                }
+            } catch (e) {
+                err = err || e;
+            }
+            if (err) {
+                cb(err);
+            } else {
+                cb(null, manifest);
+            }
+        };
+        //Copy backup files into temporary directory and swap database files if all files are copied
+        var next = function(i) {
+            if (i < files.length) {
+                copyFile(files[i].src, files[i].staged, function(err, info) {
+                    if (!err && info.sha256 !== files[i].info["sha256"]) {
+                        err = new Error("Checksum mismatch of restored file: " + files[i].target);
+                    }
+                    if (err) {
+                        cleanup(err);
+                        return;
+                    }
+                    next(i + 1);
+                });
+                return;
+            }
+            dbFiles(dbFile, opts["open"], function(err, existing) {
+                if (err) {
+                    cleanup(err);
+                    return;
+                }
+                var moved = [];
+                var placed = [];
+                try {
+                    aside = fs.mkdtempSync(dbFile + ".replaced-");
+                    existing.forEach(function(file) {
+                        if (fs.existsSync(file)) {
+                            var to = path.join(aside, path.basename(file));
+                            fs.renameSync(file, to);
+                            moved.push({from : file, to : to});
+                        }
+                    });
+                    files.forEach(function(f) {
+                        fs.renameSync(f.staged, f.target);
+                        placed.push(f.target);
+                    });
+                } catch (e) {
+                    try {
+                        placed.forEach(function(file) {
+                            fs.unlinkSync(file);
+                        });
+                        moved.forEach(function(m) {
+                            fs.renameSync(m.to, m.from);
+                        });
+                    } catch (re) {
+                        e = new Error("Restore failed: " + e.message + ", files of the replaced database are kept in: " +
+                                      aside + ", cause: " + re.message);
+                        aside = null;
+                    }
+                    cleanup(e);
+                    return;
+                }
+                cleanup(null);
+            });
+        };
+        next(0);
+    });
+}
+
+/**
+ * Files of existing database `dbFile`.
+ * @private
+ */
+function dbFiles(dbFile, open, cb) {
+    if (!fs.existsSync(dbFile)) {
+        cb(null, []);
+        return;
+    }
+    open(dbFile, function(err, db) {
+        if (err) {
+            cb(err);
+            return;
+        }
+        var files = [];
+        try {
+            files = metaFiles(db.getDBMeta());
+        } catch (e) {
+            err = e;
+        }
+        db.close(function(cerr) {
+            cb(err || cerr, files);
+        });
+    });
+}
+
+/**
+ * Remove directory `dir` with files in it.
+ * @private
+ */
+function removeDir(dir) {
+    fs.readdirSync(dir).forEach(function(name) {
+        fs.unlinkSync(path.join(dir, name));
+    });
+    fs.rmdirSync(dir);
+}
+
+/**
+ * Files listed in database metadata returned by `EJDB#getDBMeta()`.
+ * @private
+ */
+function metaFiles(meta) {
+    var files = [meta["file"]];
+    (meta["collections"] || []).forEach(function(c) {
+        files.push(c["file"]);
+        (c["indexes"] || []).forEach(function(i) {
+            if (i["file"]) {
+                files.push(i["file"]);
+            }
+        });
+    });
+    return files;
+}
+
+/**
+ * Copy file computing its size and SHA-256 checksum.
+ * @private
+ */
+function copyFile(src, dst, cb) {
+    var hash = crypto.createHash("sha256");
+    var size = 0;
+    var input = fs.createReadStream(src);
+    var output = fs.createWriteStream(dst);
+    var done = false;
+    var finish = function(err) {
+        if (done) {
+            return;
+        }
+        done = true;
+        if (err) {
+            input.destroy();
+            output.destroy();
+            cb(err);
+            return;
+        }
+        cb(null, {size : size, sha256 : hash.digest("hex")});
+    };
+    input.on("data", function(chunk) {
+        size += chunk.length;
+        hash.update(chunk);
+    });
+    input.on("error", finish);
+    output.on("error", finish);
+    output.on("finish", function() {
+        finish(null);
+    });
+    input.pipe(output);
+}
+
+/**
+ * Compute file size and SHA-256 checksum.
+ * @private
+ */
+function hashFile(file, cb) {
+    var hash = crypto.createHash("sha256");
+    var size = 0;
+    var input = fs.createReadStream(file);
+    input.on("data", function(chunk) {
+        size += chunk.length;
+        hash.update(chunk);
+    });
+    input.on("error", cb);
+    input.on("end", function() {
+        cb(null, {size : size, sha256 : hash.digest("hex")});
+    });
+}
+
+module.exports.lockedMethod = lockedMethod;
+module.exports.lockMethods = lockMethods;
+module.exports.backup = backup;
+module.exports.verify = verify;
+module.exports.restore = restore;
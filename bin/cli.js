@@ -6,12 +6,89 @@ const maxInspectDepth = 10;
 var useColors = true;
 var quiet = false;
 var cmd = null;
+var command = null; //non interactive command: {name, args}
 var pkg = require("../package.json");
 
+// non interactive commands: ejdb <command> [command options] <command args>
+var commands = {
+    "export-csv" : {
+        usage : "export-csv [--fields path1,path2] [--query json] [--delimiter char] dbfile cname [csvfile]",
+        help : "export collection as CSV into csvfile or stdout",
+        run : function (EJDB, opts, args, cb) {
+            var jb = EJDB.open(args[0], EJDB.JBOREADER);
+            var eopts = {
+                fields : opts["fields"] ? opts["fields"].split(",") : undefined,
+                query : opts["query"] ? JSON.parse(opts["query"]) : undefined,
+                delimiter : opts["delimiter"]
+            };
+            jb.exportCSV(args[1], args[2] || process.stdout, eopts, function (err, stats) {
+                jb.close();
+                cb(err, stats && ("Exported " + stats.exported + " objects"));
+            });
+        }
+    },
+    "import-csv" : {
+        usage : "import-csv [--types json] [--header-map json] [--delimiter char] [--mode insert|upsert|replace] dbfile cname [csvfile]",
+        help : "import objects into collection from CSV csvfile or stdin",
+        run : function (EJDB, opts, args, cb) {
+            var jb = EJDB.open(args[0]);
+            var iopts = {
+                types : opts["types"] ? JSON.parse(opts["types"]) : undefined,
+                headerMap : opts["header-map"] ? JSON.parse(opts["header-map"]) : undefined,
+                delimiter : opts["delimiter"],
+                mode : opts["mode"]
+            };
+            jb.importCSV(args[1], args[2] || process.stdin, iopts, function (err, stats) {
+                jb.close();
+                stats = stats || (err && err.stats);
+                if (stats) {
+                    stats.errors.forEach(function (e) {
+                        console.error("Line " + e.line + ": " + e.message);
+                    });
+                }
+                cb(err, stats && ("Imported " + stats.imported + " of " + stats.read + " records"));
+            });
+        }
+    },
+    "migrate" : {
+        usage : "migrate [--target id] [--steps n] [--force] status|up|down dbfile migrationsdir",
+        help : "show status, apply or revert database migrations",
+        nargs : 3,
+        flags : ["force"],
+        run : function (EJDB, opts, args, cb) {
+            var jb = EJDB.open(args[1]);
+            var mopts = {
+                command : args[0],
+                target : opts["target"],
+                steps : opts["steps"] ? parseInt(opts["steps"], 10) : undefined,
+                force : opts["force"]
+            };
+            EJDB.migrate(jb, args[2], mopts, function (err, result) {
+                jb.close();
+                if (err) {
+                    cb(err);
+                } else if (mopts.command === "status") {
+                    result.forEach(function (s) {
+                        console.log((s.applied ? "applied " + s.applied.toISOString() : "pending") +
+                                    "\t" + s.id + (s.missing ? " (missing)" : ""));
+                    });
+                    cb(null);
+                } else {
+                    cb(null, (mopts.command === "up" ? "Applied: " : "Reverted: ") + (result.join(", ") || "none"));
+                }
+            });
+        }
+    }
+};
+
 
 //Parse aguments
 (function () {
     var args = process.argv;
+    if (args.length > 2 && commands.hasOwnProperty(args[2])) {
+        command = {name : args[2], args : args.slice(3)};
+        return;
+    }
     for (var i = 2; i < args.length; ++i) {
         var a = args[i];
         if (["--help", "-h"].indexOf(a) !== -1) {
@@ -37,10 +114,53 @@ function help() {
     h.push("\t-n --no-colors\tdo not use colored output");
     h.push("\t-q --quiet\trun in quiet output mode");
     h.push("\t-c --cmd\trun specified javascript command");
+    h.push("commands:");
+    for (var name in commands) {
+        h.push("\tejdb " + commands[name].usage);
+        h.push("\t\t" + commands[name].help);
+    }
     console.error(h.join("\n"));
     process.exit(0);
 }
 
+function runCommand(command) {
+    var c = commands[command.name];
+    var opts = {};
+    var args = [];
+    for (var i = 0; i < command.args.length; ++i) {
+        var a = command.args[i];
+        if (a.indexOf("--") === 0 && (c.flags || []).indexOf(a.substring(2)) !== -1) {
+            opts[a.substring(2)] = true;
+        } else if (a.indexOf("--") === 0 && i < command.args.length - 1) {
+            opts[a.substring(2)] = command.args[++i];
+        } else {
+            args.push(a);
+        }
+    }
+    if (args.length < (c.nargs || 2)) {
+        console.error("usage: ejdb " + c.usage);
+        process.exit(1);
+    }
+    try {
+        c.run(require("../ejdb.js"), opts, args, function (err, msg) {
+            if (err) {
+                console.error("ERROR: " + err.message);
+                process.exitCode = 1;
+            } else if (msg) {
+                console.error(msg);
+            }
+        });
+    } catch (err) {
+        console.error("ERROR: " + err.message);
+        process.exit(1);
+    }
+}
+
+if (command) {
+    runCommand(command);
+    return;
+}
+
 if (!quiet) {
     console.log("Welcome to EJDB CLI v" + pkg.version);
 }
@@ -163,6 +283,13 @@ Object.defineProperty(EJDB.prototype.commitTransaction, "_help_", {value : "Comm
 Object.defineProperty(EJDB.prototype.rollbackTransaction, "_help_", {value : "Rollback collection transaction"});
 Object.defineProperty(EJDB.prototype.getTransactionStatus, "_help_", {value : "Get collection transaction status"});
 
+// help hints for collection controllers methods
+for (var mname in helpGetters) {
+    if (typeof EJDB.Collection.prototype[mname] === "function") {
+        Object.defineProperty(EJDB.Collection.prototype[mname], "_help_", {value : helpGetters[mname](true)});
+    }
+}
+
 // collection controllers history (for merge)
 var cchistory = [];
 
@@ -197,50 +324,12 @@ var bindColCtls = function(dbctrl, forcerebind) {
 
 // collection controller (creation function)
 var colctl = function (db, cname) {
-    // build arguments function: add <cname> as first argument
-    var buildargs = function (args) {
-        var result = [cname];
-        // args is Object, we need to iterate all fields with numeric key for collecting arguments
-        for (var i = 0; args[i]; ++i) {
-            result.push(args[i]);
-        }
-
-        return result;
+    // db.<method>(cname, ...) -> db.cname.<method>(...)
+    var colctlimpl = new EJDB.Collection(db, cname);
+    colctlimpl.inspect = function() {
+        return '\u001b[' + 36 + 'm' + "[Collection]" + '\u001b[' + 39 + 'm';
     };
-    // method names for creating aliases (db.<method>(cname, ...) -> db.cname.<method>(...))
-    var mnames = [
-        "save", "load", "remove", "find", "findOne", "update", "count",
-        "dropCollection", "dropIndexes", "optimizeIndexes",
-        "ensureStringIndex", "rebuildStringIndex", "dropStringIndex",
-        "ensureIStringIndex", "rebuildIStringIndex", "dropIStringIndex",
-        "ensureNumberIndex", "rebuildNumberIndex", "dropNumberIndex",
-        "ensureArrayIndex", "rebuildArrayIndex", "dropArrayIndex"
-    ];
-    // bind method alias
-    var mbind = function (mname) {
-        return function () {
-            return db[mname].apply(db, buildargs(arguments));
-        }
-    };
-
-    // collection controller impl
-    var colctlimpl = {
-        inspect : function() {
-            return '\u001b[' + 36 + 'm' + "[Collection]" + '\u001b[' + 39 + 'm';
-        }
-    };
-
-    var mname;
-    // wrap methods
-    for (var i = 0; i < mnames.length; ++i) {
-        mname = mnames[i];
-        colctlimpl[mname] = mbind(mname);
-        if (helpGetters[mname]) {
-            Object.defineProperty(colctlimpl[mname], '_help_', {value : helpGetters[mname](true)});
-        }
-    }
-
-    return colctlimpl
+    return colctlimpl;
 };
 
 repl = require("repl").start({
@@ -0,0 +1,376 @@
+/**************************************************************************************************
+ *  NodeJS API for EJDB database library http://ejdb.org
+ *  Copyright (C) 2012-2015 Softmotions Ltd <info@softmotions.com>
+ *
+ *  This file is part of EJDB.
+ *  EJDB is free software; you can redistribute it and/or modify it under the terms of
+ *  the GNU Lesser General Public License as published by the Free Software Foundation; either
+ *  version 2.1 of the License or any later version.  EJDB is distributed in the hope
+ *  that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Lesser General Public
+ *  License for more details.
+ *  You should have received a copy of the GNU Lesser General Public License along with EJDB;
+ *  if not, write to the Free Software Foundation, Inc., 59 Temple Place, Suite 330,
+ *  Boston, MA 02111-1307 USA.
+ *************************************************************************************************/
+
+/**
+ * CSV (RFC 4180) encoding of EJDB objects used by `EJDB#exportCSV()` and `EJDB#importCSV()`.
+ *
+ * Nested objects and arrays are flattened into columns with dotted field paths
+ * as names, eg: `{"address" : {"city" : "Omsk"}, "tags" : ["a"]}` has columns
+ * `address.city` and `tags.0`.
+ */
+
+var aggregate = require('./aggregate.js');
+
+/**
+ * Flatten object into `{path : value}` object of leaf values.
+ * Dates, RegExps and Buffers are leaf values, empty objects and arrays are skipped.
+ * @param {Object} obj
+ * @return {Object}
+ */
+function flatten(obj) {
+    var ret = {};
+    var walk = function(v, prefix) {
+        for (var k in v) {
+            if (!v.hasOwnProperty(k)) {
+                continue;
+            }
+            var fv = v[k];
+            var fpath = prefix ? prefix + "." + k : k;
+            if (fv != null && typeof fv === "object" && !isLeaf(fv)) {
+                walk(fv, fpath);
+            } else if (typeof fv !== "function") {
+                ret[fpath] = fv;
+            }
+        }
+    };
+    walk(obj, "");
+    return ret;
+}
+
+function isLeaf(v) {
+    return (v instanceof Date || v instanceof RegExp || Buffer.isBuffer(v));
+}
+
+/**
+ * Path segments which would modify object prototypes.
+ */
+var UNSAFE_SEGMENTS = ["__proto__", "constructor", "prototype"];
+
+/**
+ * Set value of dotted `path` in object creating missing nested objects,
+ * arrays are created for numeric path segments.
+ * Error is thrown for `__proto__`, `constructor` and `prototype` path segments.
+ */
+function setPath(obj, path, val) {
+    var parts = path.split(".");
+    for (var j = 0; j < parts.length; ++j) {
+        if (UNSAFE_SEGMENTS.indexOf(parts[j]) !== -1) {
+            throw new Error("Invalid field path: '" + path + "'");
+        }
+    }
+    var v = obj;
+    for (var i = 0; i < parts.length - 1; ++i) {
+        if (v[parts[i]] == null || typeof v[parts[i]] !== "object") {
+            v[parts[i]] = /^\d+$/.test(parts[i + 1]) ? [] : {};
+        }
+        v = v[parts[i]];
+    }
+    v[parts[parts.length - 1]] = val;
+}
+
+/**
+ * Text of value in CSV cell.
+ */
+function formatValue(v) {
+    if (v == null) {
+        return "";
+    }
+    if (v instanceof Date) {
+        return isNaN(v.getTime()) ? "" : v.toISOString();
+    }
+    if (Buffer.isBuffer(v)) {
+        return v.toString("base64");
+    }
+    if (typeof v === "object") { //only nested values of `fields` columns
+        return JSON.stringify(v);
+    }
+    return String(v);
+}
+
+/**
+ * CSV line of values terminated by CRLF.
+ * @param {Array} values
+ * @param {String} delimiter
+ * @return {String}
+ */
+function formatRow(values, delimiter) {
+    return values.map(function(v) {
+        var text = formatValue(v);
+        if (text.indexOf(delimiter) !== -1 || /["\r\n]/.test(text) || /^\s|\s$/.test(text)) {
+            text = "\"" + text.replace(/"/g, "\"\"") + "\"";
+        }
+        return text;
+    }).join(delimiter) + "\r\n";
+}
+
+/**
+ * Convert CSV cell text into value of `type`:
+ * `string`, `number`, `boolean` or `date`.
+ * Error is thrown if text can not be converted.
+ */
+function coerce(text, type) {
+    var v;
+    switch (type || "string") {
+        case "string":
+            return text;
+        case "number":
+            v = (text.trim() === "") ? NaN : Number(text);
+            if (isNaN(v)) {
+                throw new Error("Invalid number: '" + text + "'");
+            }
+            return v;
+        case "boolean":
+            v = text.trim().toLowerCase();
+            if (["true", "yes", "1"].indexOf(v) !== -1) {
+                return true;
+            } else if (["false", "no", "0"].indexOf(v) !== -1) {
+                return false;
+            }
+            throw new Error("Invalid boolean: '" + text + "'");
+        case "date":
+            v = /^-?\d+$/.test(text.trim()) ? new Date(Number(text)) : new Date(text);
+            if (isNaN(v.getTime())) {
+                throw new Error("Invalid date: '" + text + "'");
+            }
+            return v;
+        default:
+            throw new Error("Unknown CSV column type: " + type);
+    }
+}
+
+/**
+ * Incremental CSV parser.
+ *
+ * Usage: feed text chunks by `push()` and call `end()` after the last chunk,
+ * both return array of rows: `{line : Number, fields : Array of String}` where
+ * `line` is 1-based line number where row starts. Empty lines are skipped.
+ *
+ * @param {String} [delimiter=","] Field delimiter
+ * @class
+ */
+function Parser(delimiter) {
+    this.delimiter = delimiter || ",";
+    this.line = 1; //current line number
+    this.start = 1; //line number of the current row
+    this.fields = []; //parsed fields of the current row
+    this.field = ""; //text of the current field
+    this.quoted = false; //current field is quoted
+    this.inQuotes = false; //position is inside of quotes
+    this.quote = false; //quote is read inside of quotes, it is either escaped or closing quote
+    this.cr = false; //CR is read
+    this.bom = true; //BOM may be read
+}
+
+Parser.prototype.push = function(chunk) {
+    var ret = [];
+    for (var i = 0; i < chunk.length; ++i) {
+        var c = chunk[i];
+        if (this.bom) {
+            this.bom = false;
+            if (c === "\ufeff") {
+                continue;
+            }
+        }
+        if (this.cr) {
+            this.cr = false;
+            if (c === "\n") {
+                continue;
+            }
+        }
+        if (this.quote) {
+            this.quote = false;
+            if (c === "\"") {
+                this.field += c;
+                continue;
+            }
+            this.inQuotes = false;
+        }
+        if (this.inQuotes) {
+            if (c === "\"") {
+                this.quote = true;
+            } else {
+                if (c === "\n") {
+                    ++this.line;
+                }
+                this.field += c;
+            }
+            continue;
+        }
+        if (c === "\"" && this.field.length === 0 && !this.quoted) {
+            this.inQuotes = this.quoted = true;
+        } else if (c === this.delimiter) {
+            this.endField();
+        } else if (c === "\r" || c === "\n") {
+            this.cr = (c === "\r");
+            this.endRow(ret);
+            ++this.line;
+            this.start = this.line;
+        } else {
+            this.field += c;
+        }
+    }
+    return ret;
+};
+
+Parser.prototype.end = function() {
+    var ret = [];
+    if (this.inQuotes && !this.quote) {
+        throw new Error("Unterminated quoted field at line " + this.start);
+    }
+    this.quote = this.inQuotes = false;
+    this.endRow(ret);
+    return ret;
+};
+
+Parser.prototype.endField = function() {
+    this.fields.push(this.field);
+    this.field = "";
+    this.quoted = false;
+};
+
+Parser.prototype.endRow = function(ret) {
+    this.endField();
+    if (this.fields.length > 1 || this.fields[0] !== "") {
+        ret.push({line : this.start, fields : this.fields});
+    }
+    this.fields = [];
+};
+
+/**
+ * Writer of export objects as CSV rows with header line of `fields` columns,
+ * see `exportObjects()` in ejdb.js.
+ * @param {Array} fields Field paths of columns
+ * @param {String} delimiter Field delimiter
+ * @return {Object}
+ */
+function writer(fields, delimiter) {
+    return {
+        head : function() {
+            return formatRow(fields, delimiter);
+        },
+        item : function(obj) {
+            var flat = flatten(obj);
+            return formatRow(fields.map(function(f) {
+                return flat.hasOwnProperty(f) ? flat[f] : aggregate.getPath(obj, f);
+            }), delimiter);
+        },
+        tail : function() {
+            return "";
+        }
+    };
+}
+
+/**
+ * Collect field paths of all objects of iterator `it` in order of their appearance.
+ * @param {Object} it Iterator returned by `EJDB#findIter()`
+ * @param {Function} cb Callback function with arguments: (error, fields)
+ */
+function collectFields(it, cb) {
+    var fields = [];
+    var known = {};
+    var next = function() {
+        it.next(function(err, obj) {
+            if (err) {
+                cb(err);
+                return;
+            }
+            if (obj === null) {
+                cb(null, fields);
+                return;
+            }
+            for (var f in flatten(obj)) {
+                if (!known[f]) {
+                    known[f] = true;
+                    fields.push(f);
+                }
+            }
+            next();
+        });
+    };
+    next();
+}
+
+/**
+ * Reader of import records from CSV text with header line of column names,
+ * see `importObjects()` in ejdb.js.
+ *
+ * Options (opts):
+ *  {
+ *      "types" : Types of field values: `{field path : type}`, see `coerce()`
+ *      "headerMap" : Field paths of CSV columns: `{column name : field path}`
+ *      "delimiter" : Field delimiter
+ *  }
+ *
+ * @param {Object} opts
+ * @return {Object}
+ */
+function reader(opts) {
+    var types = opts["types"] || {};
+    var headerMap = opts["headerMap"] || {};
+    var parser = new Parser(opts["delimiter"]);
+    var columns = null; //field paths of columns
+    var toRecords = function(rows) {
+        var ret = [];
+        rows.forEach(function(row) {
+            if (columns == null) {
+                columns = row.fields.map(function(name) {
+                    return headerMap.hasOwnProperty(name) ? headerMap[name] : name.trim();
+                });
+                return;
+            }
+            if (row.fields.length !== columns.length) {
+                ret.push({line : row.line, error : "Expected " + columns.length + " fields but got " + row.fields.length});
+                return;
+            }
+            var obj = {};
+            try {
+                row.fields.forEach(function(text, i) {
+                    var fpath = columns[i];
+                    if (!fpath || text === "") {
+                        return;
+                    }
+                    try {
+                        setPath(obj, fpath, coerce(text, types[fpath]));
+                    } catch (err) {
+                        throw new Error("Column '" + fpath + "': " + err.message);
+                    }
+                });
+            } catch (err) {
+                ret.push({line : row.line, error : err.message});
+                return;
+            }
+            ret.push({line : row.line, obj : obj});
+        });
+        return ret;
+    };
+    return {
+        push : function(chunk) {
+            return toRecords(parser.push(chunk));
+        },
+        end : function() {
+            return toRecords(parser.end());
+        }
+    };
+}
+
+module.exports.flatten = flatten;
+module.exports.setPath = setPath;
+module.exports.formatRow = formatRow;
+module.exports.coerce = coerce;
+module.exports.Parser = Parser;
+module.exports.writer = writer;
+module.exports.collectFields = collectFields;
+module.exports.reader = reader;
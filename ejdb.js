@@ -23,28 +23,116 @@
 
 var binary = require('node-pre-gyp');
 var path = require('path');
+var util = require('util');
+var stream = require('stream');
+var events = require('events');
+var crypto = require('crypto');
+var fs = require('fs');
+var Ajv = require('ajv');
+var aggregate = require('./aggregate.js');
+var extjson = require('./extjson.js');
+var csv = require('./csv.js');
+var backup = require('./backup.js');
+var helpers = require('./helpers.js');
+var ttl = require('./ttl.js');
+var options = require('./options.js');
+var migrate = require('./migrate.js');
 var ejdblib_path = binary.find(path.resolve(path.join(__dirname, './package.json')));
 var ejdblib = require(ejdblib_path);
 
 var EJDBImpl = ejdblib.NodeEJDB;
+var EJDBCursor = {prototype : ejdblib.NodeEJDBCursorPrototype}; //native cursor constructor is internal
+if (EJDBCursor.prototype == null || typeof EJDBCursor.prototype !== "object") {
+    throw new Error("Native module '" + ejdblib_path + "' is outdated, please reinstall ejdb package " +
+                    "with `npm install ejdb --build-from-source`");
+}
 const DEFAULT_OPEN_MODE = (ejdblib.JBOWRITER | ejdblib.JBOCREAT);
 
 
 /**
  * The nodejs database wrapper.
+ *
+ * EJDB is an `EventEmitter`, after successful write operation
+ * an event with the operation name is emitted (see `EJDB#use()`).
+ *
  * @class
  * @memberOf ejdb
  */
 var EJDB = function() {
+    events.EventEmitter.call(this);
     Object.defineProperty(this, "_impl", {
         value : new EJDBImpl(),
         configurable : false,
         enumerable : false,
         writable : false
     });
+    Object.defineProperty(this, "promises", {
+        value : promisifyAll(this, PROMISIFIED_METHODS),
+        configurable : false,
+        enumerable : false,
+        writable : false
+    });
+    Object.defineProperty(this, "_validators", { //collection name => CollectionValidator
+        value : {},
+        configurable : false,
+        enumerable : false,
+        writable : false
+    });
+    Object.defineProperty(this, "_hooks", { //operation name => Array of pre hooks
+        value : {},
+        configurable : false,
+        enumerable : false,
+        writable : false
+    });
+    Object.defineProperty(this, "_watches", { //Array of active ChangeStream
+        value : [],
+        configurable : false,
+        enumerable : false,
+        writable : false
+    });
+    Object.defineProperty(this, "_lock", { //Write lock held by backup
+        value : {
+            writes : 0, //number of pending async write operations
+            backup : false, //backup is in progress
+            queue : null, //deferred write operations if locked
+            drained : null //function called when pending writes are completed
+        },
+        configurable : false,
+        enumerable : false,
+        writable : false
+    });
+    Object.defineProperty(this, "_ttl", { //TTL collections
+        value : {
+            rules : {}, //collection name => {field, seconds}
+            timer : null, //sweeper timer
+            sweeping : false //removal of expired objects is in progress
+        },
+        configurable : false,
+        enumerable : false,
+        writable : false
+    });
+    Object.defineProperty(this, "_options", { //Stored collection options
+        value : {
+            loaded : false, //options are loaded from EJDB.OPTIONS_COLLECTION
+            items : {}, //collection name => stored options object
+            totals : {}, //capped collection name => running totals {count, bytes}
+            resets : {} //collection name => number of resets of running totals
+        },
+        configurable : false,
+        enumerable : false,
+        writable : false
+    });
+    Object.defineProperty(this, "_queues", { //collection name => queue of serialized async operations
+        value : {},
+        configurable : false,
+        enumerable : false,
+        writable : false
+    });
     return this;
 };
 
+util.inherits(EJDB, events.EventEmitter);
+
 for (var k in ejdblib) { //Export constants
     if (k.indexOf("JB") === 0) {
         EJDB[k] = ejdblib[k];
@@ -88,6 +176,26 @@ EJDB.open = function(dbFile, openMode, cb) {
     return db;
 };
 
+/**
+ * Open database in async mode.
+ * Promise based variant of `EJDB.open()`.
+ *
+ * @param {String} dbFile Database main file name
+ * @param {Number} [openMode] Bitmask of open modes, see `EJDB.open()`
+ * @returns {Promise} Promise resolved with EJDB database instance.
+ */
+EJDB.openAsync = function(dbFile, openMode) {
+    return new Promise(function(resolve, reject) {
+        EJDB.open(dbFile, openMode, function(err, db) {
+            if (err) {
+                reject(helpers.toError(err));
+                return;
+            }
+            resolve(db);
+        });
+    });
+};
+
 
 /**
  * Returns true if argument is valid object id (OID) string.
@@ -116,6 +224,13 @@ EJDB.isValidOID = function(oid) {
  * @param {Function} [cb] Callback called with error argument.
  */
 EJDB.prototype.close = function(cb) {
+    this._watches.slice().forEach(function(w) {
+        w.close();
+    });
+    this._ttl.rules = {};
+    ttl.sweep(this, EJDB.TTL_SWEEP_INTERVAL);
+    this._options.loaded = false;
+    this._options.totals = {};
     return this._impl.close(cb);
 };
 
@@ -130,7 +245,9 @@ EJDB.prototype.isOpen = function() {
  * Return existing collection or create new collection if it was not created before.
  * Collection options `copts`
  * are applied only for newly created collection.
- * For existing collections `copts` takes no effect.
+ * For existing collections native options take no effect and stored options
+ * (`capped`, `timestamps`, `versioned`) different from the stored options
+ * of collection cause an error, use `EJDB#configureCollection()` to change them.
  *
  * Collection options (copts):
  *  {
@@ -138,8 +255,21 @@ EJDB.prototype.isOpen = function() {
  *      "records" : Estimated number of records in this collection. Default: 65535.
  *      "large" : Specifies that the size of the database can be larger than 2GB. Default: false
  *      "compressed" : If true collection records will be compressed with DEFLATE compression. Default: false.
+ *      "capped" : {max, size} Keep only the newest `max` objects and/or the newest objects
+ *                 with total size up to `size` bytes, see "Capped collections" in options.js. Default: not capped.
+ *      "timestamps" : true|{createdAt, updatedAt} Set creation and modification dates of objects on save,
+ *                 see "Timestamps and versions" in options.js. Default: false.
+ *      "versioned" : If true `_v` version of objects is maintained and checked on save,
+ *                 see "Timestamps and versions" in options.js. Default: false.
  *  }
  *
+ * Options not supported by native EJDB (`capped`, `timestamps`, `versioned`) are stored
+ * in `EJDB.OPTIONS_COLLECTION` and reported by `EJDB#getDBMeta()`.
+ * Stored options of existing collection can be changed by `EJDB#configureCollection()`.
+ *
+ * Names `EJDB.OPTIONS_COLLECTION` and `EJDB.MIGRATIONS_COLLECTION` are reserved,
+ * such collections are created by EJDB when needed.
+ *
  * Depending on if cb parameter is passed this function is either async or
  * blocking.
  *
@@ -153,7 +283,91 @@ EJDB.prototype.ensureCollection = function(cname, copts, cb) {
         cb = copts;
         copts = {};
     }
-    return this._impl.ensureCollection(cname, copts || {}, cb);
+    var ctx = {"op" : "ensureCollection", "cname" : cname, "copts" : copts || {}};
+    if (!runHooks(this, ctx, cb)) {
+        return;
+    }
+    var self = this;
+    var split = options.splitOptions(ctx.copts);
+    var created = (split.stored != null && !this._impl.dbMeta().collections.some(function(c) {
+        return (c.name === ctx.cname);
+    }));
+    var check = function() { //Error if name is reserved or existing collection has different stored options
+        if (reservedCollection(ctx.cname)) {
+            return new Error("Collection name '" + ctx.cname + "' is reserved");
+        }
+        if (split.stored == null || created) {
+            return null;
+        }
+        var stored = options.collectionOptions(self, ctx.cname) || {};
+        var changed = Object.keys(split.stored).filter(function(k) {
+            return JSON.stringify(split.stored[k]) !== JSON.stringify(stored[k]);
+        });
+        return (changed.length === 0) ? null :
+               new Error("Collection '" + ctx.cname + "' already exists with different options: " +
+                         changed.join(", ") + ", use configureCollection() to change them");
+    };
+    if (cb) {
+        var done = afterHooks(this, ctx, cb);
+        options.withOptions(this, cb, function() {
+            var err = check();
+            if (err) {
+                cb(err);
+                return;
+            }
+            self._impl.ensureCollection(ctx.cname, split.native, function(err) {
+                if (err || !created) {
+                    done.apply(this, arguments);
+                    return;
+                }
+                options.storeOptions(self, ctx.cname, split.stored, done);
+            });
+        });
+        return;
+    }
+    var err = check();
+    if (err) {
+        throw err;
+    }
+    var ret = this._impl.ensureCollection(ctx.cname, split.native);
+    if (created) {
+        options.storeOptions(this, ctx.cname, split.stored);
+    }
+    afterWrite(this, ctx);
+    return ret;
+};
+
+/**
+ * Change stored options of collection `cname`: `capped`, `timestamps` and `versioned`
+ * (see `EJDB#ensureCollection()`). Other options of collection are not changed,
+ * option with `null` value is removed.
+ *
+ * Example:
+ *
+ *  db.configureCollection("parrots", {timestamps : true, versioned : true, capped : null});
+ *
+ * If callback is not provided this function will be synchronous.
+ *
+ * @param {String} cname Name of collection.
+ * @param {Object} copts Collection options.
+ * @param {Function} [cb] Callback called with an error argument.
+ */
+EJDB.prototype.configureCollection = function(cname, copts, cb) {
+    if (typeof cname !== "string") {
+        throw new Error("Collection name 'cname' argument must be specified");
+    }
+    if (copts == null || typeof copts !== "object") {
+        throw new Error("Collection options 'copts' argument must be specified");
+    }
+    var opts = {};
+    Object.keys(copts).forEach(function(k) {
+        if (options.STORED_OPTIONS.indexOf(k) === -1) {
+            throw new Error("Collection option '" + k + "' can be set only when collection is created");
+        }
+        opts[k] = (copts[k] == null) ? null : copts[k];
+    });
+    options.checkOptions(opts);
+    return options.storeOptions(this, cname, opts, cb);
 };
 
 
@@ -182,12 +396,27 @@ EJDB.prototype.dropCollection = function(cname, prune, cb) {
         cb = prune;
         prune = false;
     }
-    if (!cb) {
-        cb = function() {
-        };
+    if (typeof cb !== "function") {
+        //Called through backup lock (see `LOCKED_METHODS` of backup.js) to track pending operation
+        return this.dropCollection(cname, !!prune, function() {
+        });
+    }
+    var ctx = {"op" : "dropCollection", "cname" : cname, "prune" : !!prune};
+    if (!runHooks(this, ctx, cb)) {
+        return;
     }
-    //noinspection JSDeprecatedSymbols
-    return this._impl.removeCollection(cname, !!prune, cb);
+    var self = this;
+    queuedWrite(this, ctx.cname, false, cb, function(cb) {
+        cb = afterHooks(self, ctx, options.resetTotals(self, ctx.cname, cb));
+        //noinspection JSDeprecatedSymbols
+        self._impl.removeCollection(ctx.cname, ctx.prune, function(err) {
+            if (err) {
+                cb.apply(this, arguments);
+                return;
+            }
+            options.dropOptions(self, ctx.cname, cb);
+        });
+    });
 };
 
 /**
@@ -209,6 +438,18 @@ EJDB.prototype.dropCollection = function(cname, prune, cb) {
  * NOTE: Field names of passed JSON objects may not contain `$` and `.` characters,
  *       error condition will be fired in this case.
  *
+ * If collection has JSON schema validator (see `EJDB#setValidator()`)
+ * objects are validated before save, for merge mode the result of merging
+ * with the stored object is validated.
+ *
+ * Saving into capped collection evicts the oldest objects exceeding the cap
+ * within the same transaction (see "Capped collections" in options.js).
+ * Collections with `timestamps` and `versioned` options maintain dates and versions
+ * of saved objects, save fails with conflict error if `_v` version of object
+ * differs from the stored one (see "Timestamps and versions" in options.js).
+ * Asynchronous saves into such collections keep collection transaction open until they are completed,
+ * blocking writes into collection fail meanwhile (see "Write queues").
+ *
  * @param {String} cname Collection name.
  * @param {Array|Object} jsarr Signle JSON object or array of JSON objects to save
  * @param {Object?} opts Optional options obj.
@@ -218,39 +459,99 @@ EJDB.prototype.dropCollection = function(cname, prune, cb) {
  * @return {Array} of OIDs of saved objects in synchronous mode otherwise returns {undefined}.
  */
 EJDB.prototype.save = function(cname, jsarr, opts, cb) {
+    if (typeof opts == "function") {
+        cb = opts;
+        opts = null;
+    }
+    return saveObjects(this, false, cname, jsarr, opts, cb);
+};
+
+/**
+ * Save objects `jsarr`, see `EJDB#save()`.
+ * `held` is true if called by the operation executed by the queue of collection (see `queuedWrite()`).
+ * @private
+ */
+function saveObjects(db, held, cname, jsarr, opts, cb) {
     if (!jsarr) {
+        if (cb) {
+            process.nextTick(cb, null, []);
+            return;
+        }
         return [];
     }
     if (!Array.isArray(jsarr)) {
         jsarr = [jsarr];
     }
-    if (typeof opts == "function") {
-        cb = opts;
-        opts = null;
+    var ctx = {"op" : "save", "cname" : cname, "objects" : jsarr, "opts" : opts || {}};
+    if (!runHooks(db, ctx, cb, [])) {
+        return cb ? undefined : [];
     }
-    var postprocess = function(oids) {
-        //Assign _id property for newly created objects
-        for (var i = jsarr.length - 1; i >= 0; --i) {
-            var so = jsarr[i];
-            if (so != null && so["_id"] !== oids[i]) {
-                so["_id"] = oids[i];
-            }
-        }
-    };
-    if (cb == null) {
-        postprocess(this._impl.save(cname, jsarr, (opts || {})));
-        return jsarr;
-    } else {
-        return this._impl.save(cname, jsarr, (opts || {}), function(err, oids) {
-            if (err) {
-                cb(err);
-                return;
-            }
-            postprocess(oids);
-            cb(null, oids);
+    return queuedWrite(db, ctx.cname, held, cb, function(cb) {
+        return options.withOptions(db, cb, function() {
+            return watchChanges(db, ctx, cb, function() {
+                cname = ctx.cname;
+                jsarr = ctx.objects;
+                opts = ctx.opts;
+                var validator = db._validators[cname];
+                var copts = options.collectionOptions(db, cname);
+                if (copts && !options.STORED_OPTIONS.some(function(k) {
+                        return copts[k];
+                    })) {
+                    copts = null;
+                }
+                var postprocess = function(oids) {
+                    //Assign _id property for newly created objects
+                    for (var i = jsarr.length - 1; i >= 0; --i) {
+                        var so = jsarr[i];
+                        if (so != null && so["_id"] !== oids[i]) {
+                            so["_id"] = oids[i];
+                        }
+                    }
+                    ctx.oids = oids;
+                    afterWrite(db, ctx);
+                };
+                if (cb == null) {
+                    if (validator) {
+                        validator.check(db, jsarr, !!opts["$merge"]);
+                    }
+                    postprocess(copts ? saveWithOptions(db, cname, jsarr, opts, copts) :
+                                db._impl.save(cname, jsarr, opts));
+                    return jsarr;
+                }
+                var done = function(err, oids) {
+                    if (err) {
+                        cb(err);
+                        return;
+                    }
+                    postprocess(oids);
+                    cb(null, oids);
+                };
+                var save = function() {
+                    try {
+                        if (copts) {
+                            saveWithOptions(db, cname, jsarr, opts, copts, done);
+                        } else {
+                            db._impl.save(cname, jsarr, opts, done);
+                        }
+                    } catch (err) { //Invalid objects are rejected synchronously
+                        done(err);
+                    }
+                };
+                if (!validator) {
+                    save();
+                    return;
+                }
+                validator.check(db, jsarr, !!opts["$merge"], function(err) {
+                    if (err) {
+                        done(err);
+                        return;
+                    }
+                    save();
+                });
+            });
         });
-    }
-};
+    });
+}
 
 
 /**
@@ -278,9 +579,32 @@ EJDB.prototype.load = function(cname, oid, cb) {
  * @return {undefined}
  */
 EJDB.prototype.remove = function(cname, oid, cb) {
-    return this._impl.remove(cname, oid, cb);
+    return removeObject(this, false, cname, oid, cb);
 };
 
+/**
+ * Remove object identified by `oid`, see `EJDB#remove()`.
+ * `held` is true if called by the operation executed by the queue of collection (see `queuedWrite()`).
+ * @private
+ */
+function removeObject(db, held, cname, oid, cb) {
+    var ctx = {"op" : "remove", "cname" : cname, "oid" : oid};
+    if (!runHooks(db, ctx, cb)) {
+        return;
+    }
+    return queuedWrite(db, ctx.cname, held, cb, function(cb) {
+        cb = options.resetTotals(db, ctx.cname, cb);
+        return watchChanges(db, ctx, cb, function() {
+            if (cb) {
+                return db._impl.remove(ctx.cname, ctx.oid, afterHooks(db, ctx, cb));
+            }
+            var ret = db._impl.remove(ctx.cname, ctx.oid);
+            afterWrite(db, ctx);
+            return ret;
+        });
+    });
+}
+
 
 /*
  * - (cname, [cb])
@@ -338,6 +662,17 @@ function parseQueryArgs(args) {
  *      - Cursor#length Read-only property: Number of records placed into cursor.
  *      - Cursor#pos Read/Write property: You can set cursor position: 0 <= pos < length
  *      - Cursor#close() Closes cursor and free cursor resources. Cursor cant be used in closed state.
+ *      - Cursor#stream() Create object mode readable stream of records.
+ *      - Cursor#toArray() Array of remaining records.
+ *      - Cursor#map(fn), Cursor#forEach(fn) Iterate over remaining records.
+ *      - Cursor#first() First record or {null}.
+ *      - Cursor#toJSON(), Cursor#toNDJSON() JSON export of remaining records.
+ *
+ * toArray(), map(), forEach(), first() and toNDJSON() close the cursor,
+ * toJSON() keeps cursor open and its position unchanged.
+ *
+ * Cursor is also iterable (`for...of` and `for await...of` loops),
+ * it is closed automatically when iteration is completed or interrupted.
  *
  * Call variations of find():
  *       - find(cname, [cb])
@@ -361,9 +696,79 @@ function parseQueryArgs(args) {
 EJDB.prototype.find = function() {
     //[cname, qobj, orarr, hints, cb]
     var qa = parseQueryArgs(arguments);
-    return this._impl.query(qa[0], [qa[1]].concat(qa[2], qa[3]),
-            (qa[3]["$onlycount"] ? ejdblib.JBQRYCOUNT : 0),
-            qa[4]);
+    var flags = (qa[3]["$onlycount"] ? ejdblib.JBQRYCOUNT : 0);
+    var self = this;
+    var query = function(cb) {
+        if (cb) {
+            return self._impl.query(qa[0], [qa[1]].concat(qa[2], qa[3]), flags, cb);
+        }
+        return syncQueryResult(self._impl.query(qa[0], [qa[1]].concat(qa[2], qa[3]), flags));
+    };
+    if (!isUpdateQuery(qa[1])) {
+        return query(qa[4]);
+    }
+    return queuedWrite(this, qa[0], false, qa[4], function(cb) {
+        return query(options.resetTotals(self, qa[0], cb));
+    });
+};
+
+/**
+ * Result of synchronous native query: cursor or count.
+ * With `$explain` hint native query returns `[cursor, count, log]` array.
+ */
+function syncQueryResult(ret) {
+    if (Array.isArray(ret)) {
+        return ret[0] || ret[1];
+    }
+    return ret;
+}
+
+/**
+ * Execute query on collection and fetch matched records incrementally,
+ * by batches of `$batchSize` records.
+ *
+ * Unlike find() the whole result set is never kept in memory:
+ * every batch is selected by a separate query executed in the async mode
+ * (on the libuv thread pool) with `$skip`/`$max` hints and only when the previous batch is consumed,
+ * so at most `$batchSize` records are held by native cursor.
+ * Note what the query is executed for every batch:
+ *  - Sort order should be deterministic. Without `$orderby` hint records are selected
+ *    in storage order, `$orderby` hint on fields without index makes every query
+ *    sort all matched records.
+ *  - Collection modifications made during iteration may shift records between batches,
+ *    so records may be skipped or returned twice.
+ *
+ * Returned iterator object:
+ *      - QueryIterator#next(cb) Fetch next record. Callback args: (error, obj),
+ *                               `obj` is {null} if no more records available.
+ *      - QueryIterator#close() Stop iteration and free resources.
+ *      - QueryIterator#stream() Create object mode readable stream of records.
+ *      - QueryIterator is async iterable: `for await (const doc of db.findIter(...))`
+ *
+ * Call variations of findIter():
+ *       - findIter(cname)
+ *       - findIter(cname, qobj)
+ *       - findIter(cname, qobj, hints)
+ *       - findIter(cname, qobj, qobjarr)
+ *       - findIter(cname, qobj, qobjarr, hints)
+ *
+ * @param {String} cname Name of collection
+ * @param {Object} qobj Main JSON query object
+ * @param {Array} [qobjarr] Array of additional OR query objects (joined with OR predicate).
+ * @param {Object} [hints] JSON object with query hints.
+ *          `$batchSize` Max number of records fetched at once. Default: 1000
+ * @return {QueryIterator}
+ */
+EJDB.prototype.findIter = function() {
+    //[cname, qobj, orarr, hints, cb]
+    var qa = parseQueryArgs(arguments);
+    if (qa[4]) {
+        throw new Error("findIter() does not accept callback argument");
+    }
+    if (qa[3]["$onlycount"]) {
+        throw new Error("$onlycount hint is not supported by findIter()");
+    }
+    return new QueryIterator(this, qa[0], qa[1], qa[2], qa[3]);
 };
 
 /**
@@ -411,7 +816,7 @@ EJDB.prototype.findOne = function() {
                 });
     } else {
         var ret = null;
-        var cursor = this._impl.query(qa[0], [qa[1]].concat(qa[2], qa[3]), 0, cb);
+        var cursor = syncQueryResult(this._impl.query(qa[0], [qa[1]].concat(qa[2], qa[3]), 0));
         if (cursor && typeof cursor === "object") {
             if (cursor.next()) {
                 ret = cursor.object();
@@ -488,20 +893,44 @@ EJDB.prototype.command = function(cmd, cb) {
 EJDB.prototype.update = function() {
     //[cname, qobj, orarr, hints, cb]
     var qa = parseQueryArgs(arguments);
-    var cb = qa[4];
-    if (cb) {
-        return this._impl.query(qa[0], [qa[1]].concat(qa[2], qa[3]), ejdblib.JBQRYCOUNT,
-                function(err, cursor, count, log) {
+    return updateObjects(this, false, qa[0], qa[1], qa[2], qa[3], qa[4]);
+};
+
+/**
+ * Execute update query, see `EJDB#update()`.
+ * `held` is true if called by the operation executed by the queue of collection (see `queuedWrite()`).
+ * @private
+ */
+function updateObjects(db, held, cname, qobj, orarr, hints, cb) {
+    var ctx = {"op" : "update", "cname" : cname, "qobj" : qobj, "orarr" : orarr, "hints" : hints};
+    if (!runHooks(db, ctx, cb, 0)) {
+        return cb ? undefined : 0;
+    }
+    return queuedWrite(db, ctx.cname, held, cb, function(cb) {
+        cb = options.resetTotals(db, ctx.cname, cb);
+        return watchChanges(db, ctx, cb, function() {
+            var validator = db._validators[ctx.cname];
+            if (validator && modifiesObjects(ctx.qobj)) {
+                return validatedUpdate(db, validator, ctx, cb);
+            }
+            var query = [ctx.qobj].concat(ctx.orarr, ctx.hints);
+            if (cb) {
+                return db._impl.query(ctx.cname, query, ejdblib.JBQRYCOUNT, function(err, cursor, count, log) {
                     if (err) {
                         cb(err, null, log);
                         return;
                     }
+                    ctx.count = count;
+                    afterWrite(db, ctx);
                     cb(null, count, log);
                 });
-    } else {
-        return this._impl.query(qa[0], [qa[1]].concat(qa[2], qa[3]), ejdblib.JBQRYCOUNT, cb);
-    }
-};
+            }
+            ctx.count = syncQueryResult(db._impl.query(ctx.cname, query, ejdblib.JBQRYCOUNT));
+            afterWrite(db, ctx);
+            return ctx.count;
+        });
+    });
+}
 
 /**
  * Convenient count(*) operation.
@@ -537,7 +966,7 @@ EJDB.prototype.count = function() {
                     cb(null, count, log);
                 });
     } else {
-        return this._impl.query(qa[0], [qa[1]].concat(qa[2], qa[3]), ejdblib.JBQRYCOUNT, cb);
+        return syncQueryResult(this._impl.query(qa[0], [qa[1]].concat(qa[2], qa[3]), ejdblib.JBQRYCOUNT));
     }
 };
 
@@ -707,9 +1136,26 @@ EJDB.prototype.dropArrayIndex = function(cname, path, cb) {
 
 /**
  * Get description of EJDB database and its collections.
+ * Stored collection options (see `EJDB#ensureCollection()`) are reported
+ * in `options` of collection descriptions, e.g. `options.capped`.
+ * Reserved collections `EJDB.OPTIONS_COLLECTION` and `EJDB.MIGRATIONS_COLLECTION`
+ * are listed along with other collections if they exist.
  */
 EJDB.prototype.getDBMeta = function() {
-    return this._impl.dbMeta();
+    var self = this;
+    var meta = this._impl.dbMeta();
+    meta.collections.forEach(function(c) {
+        var opts = options.collectionOptions(self, c.name);
+        if (opts) {
+            c.options = c.options || {};
+            options.STORED_OPTIONS.forEach(function(k) {
+                if (opts[k] !== undefined) {
+                    c.options[k] = opts[k];
+                }
+            });
+        }
+    });
+    return meta;
 };
 
 /**
@@ -739,7 +1185,7 @@ EJDB.prototype.commitTransaction = function(cname, cb) {
  * @param {Function} [cb] Optional callback function. Callback args: (error)
  */
 EJDB.prototype.rollbackTransaction = function(cname, cb) {
-    return this._impl._txctl(cname, 9/*cmdTxAbort*/, cb);
+    return this._impl._txctl(cname, 9/*cmdTxAbort*/, options.resetTotals(this, cname, cb));
 };
 
 /**
@@ -754,6 +1200,4581 @@ EJDB.prototype.getTransactionStatus = function(cname, cb) {
     return this._impl._txctl(cname, 11/*cmdTxStatus*/, cb);
 };
 
+/**
+ * Execute `fn` within collection transaction.
+ *
+ * Transaction is started before `fn` is called, committed when `fn` returns
+ * (or its returned promise is resolved) and rolled back if `fn` throws
+ * (or its returned promise is rejected). Nested transactions are not supported:
+ * returned promise is rejected if the collection transaction is already active.
+ *
+ * Example:
+ *      db.withTransaction("orders", function(tx) {
+ *          tx.save({"item" : "parrot"});
+ *          return tx.promises.update({"item" : "parrot", "$set" : {"state" : "new"}});
+ *      }).then(...)
+ *
+ * @param {String} cname Name of collection
+ * @param {Function} fn Function with arguments: (tx) where `tx` is the collection handle,
+ *          see `EJDB#collection()`. Function can return a promise.
+ * @return {Promise} Promise resolved with value returned by `fn` when transaction is committed.
+ */
+EJDB.prototype.withTransaction = function(cname, fn) {
+    return this.transaction([cname], function(tx) {
+        return fn(tx[cname]);
+    });
+};
+
+/**
+ * Execute `fn` within transactions of several collections.
+ *
+ * Transactions are started for all listed collections in the order of sorted
+ * collection names. When `fn` completes all transactions are committed in the
+ * same order, if `fn` fails all of them are rolled back.
+ * Returned promise is rejected if transaction of any listed collection is already active.
+ *
+ * EJDB transactions are per collection, so if commit of some collection fails
+ * after other collections were committed their changes can not be undone.
+ * In this case all not committed transactions are rolled back and the returned promise
+ * is rejected with error having the following properties:
+ *      - `partial` {true}
+ *      - `committed` {Array} Names of committed collections.
+ *      - `rolledBack` {Array} Names of rolled back collections.
+ *      - `cause` {Error} The commit error.
+ *
+ * Example:
+ *      db.transaction(["orders", "inventory"], function(tx) {
+ *          tx.orders.save(order);
+ *          tx.inventory.update({"_id" : order.item, "$inc" : {"stock" : -1}});
+ *      }).then(...)
+ *
+ * @param {Array} cnames Names of collections
+ * @param {Function} fn Function with arguments: (tx) where `tx` is the object
+ *          of collection handles keyed by collection names. Function can return a promise.
+ * @return {Promise} Promise resolved with value returned by `fn` when all transactions are committed.
+ */
+EJDB.prototype.transaction = function(cnames, fn) {
+    var self = this;
+    if (!Array.isArray(cnames) || cnames.length === 0) {
+        return Promise.reject(new Error("Array of collection names 'cnames' argument must be specified"));
+    }
+    cnames = cnames.filter(function(cname, idx) {
+        return cnames.indexOf(cname) === idx;
+    }).sort();
+    var tx = {};
+    try {
+        cnames.forEach(function(cname) {
+            tx[cname] = self.collection(cname);
+        });
+    } catch (err) {
+        return Promise.reject(err);
+    }
+    var begun = [];
+    var committed = [];
+    var rollback = function(err) {
+        var rolledBack = [];
+        var rerrors = [];
+        err = helpers.toError(err);
+        return helpers.eachSeries(begun.filter(function(cname) {
+            return committed.indexOf(cname) === -1;
+        }), function(cname) {
+            return rollbackIfActive(self, cname).then(function() {
+                rolledBack.push(cname);
+            }, function(rerr) {
+                rerrors.push(rerr);
+            });
+        }).then(function() {
+            if (committed.length > 0) {
+                var perr = new Error("Transaction is partially committed, committed: [" + committed.join(", ") +
+                                     "] not committed: [" + rolledBack.join(", ") + "] cause: " + err.message);
+                perr.partial = true;
+                perr.committed = committed;
+                perr.rolledBack = rolledBack;
+                perr.cause = err;
+                err = perr;
+            }
+            if (rerrors.length > 0) {
+                err.rollbackErrors = rerrors;
+            }
+            throw err;
+        });
+    };
+    return helpers.eachSeries(cnames, function(cname) {
+        return self.promises.getTransactionStatus(cname).then(function(active) {
+            if (active) {
+                throw new Error("Transaction is already active on collection: '" + cname + "'");
+            }
+        });
+    }).then(function() {
+        return helpers.eachSeries(cnames, function(cname) {
+            return self.promises.beginTransaction(cname).then(function() {
+                begun.push(cname);
+            });
+        });
+    }).then(function() {
+        return fn(tx);
+    }).then(function(ret) {
+        return helpers.eachSeries(begun, function(cname) {
+            return self.promises.commitTransaction(cname).then(function() {
+                committed.push(cname);
+            });
+        }).then(function() {
+            return ret;
+        });
+    }).catch(rollback);
+};
+
+/**
+ * Roll back collection transaction if it is still active.
+ * @return {Promise}
+ */
+function rollbackIfActive(db, cname) {
+    return db.promises.getTransactionStatus(cname).then(function(active) {
+        if (active) {
+            return db.promises.rollbackTransaction(cname);
+        }
+    });
+}
+
+
+///////////////////////////////////////////////////////////////////////////
+//                             Write queues                              //
+///////////////////////////////////////////////////////////////////////////
+
+/**
+ * Asynchronous writes into collection: `save()`, `remove()`, `update()`, `find()` with update operations,
+ * `dropCollection()`, `bulkWrite()` and `findAndModify()` are executed one after another in order of calls.
+ * Operations which read objects before writing them keep collection transaction open until they
+ * are completed: `findAndModify()`, `bulkWrite()`, saves into collections with stored options
+ * (see `EJDB#ensureCollection()`) and update queries on collections with validator (see `EJDB#setValidator()`),
+ * so other asynchronous writes never join their transactions. Blocking writes into collection
+ * fail with error while such asynchronous operation is in progress.
+ */
+
+/**
+ * Execute write operation `fn(cb)` on collection `cname`.
+ *
+ * Asynchronous writes (`cb` is provided) on the same collection are executed one after another
+ * in order of calls, unless `held` is true: the write is called by the operation which is already
+ * executed by the queue of the collection. Blocking writes are executed immediately,
+ * but fail if the executed asynchronous operation keeps collection transaction open
+ * across async calls (see `lockQueue()`), otherwise they would join its transaction.
+ * @private
+ */
+function queuedWrite(db, cname, held, cb, fn) {
+    var q = db._queues[cname];
+    if (!cb) {
+        if (q && q.locked) {
+            throw new Error("Asynchronous operation holding transaction is in progress on collection: '" +
+                            cname + "'");
+        }
+        return fn(null);
+    }
+    if (held) {
+        return fn(cb);
+    }
+    if (!q) {
+        q = db._queues[cname] = {ops : [], locked : false};
+    }
+    q.ops.push(function(immediate) {
+        var called = false;
+        var release = function() {
+            called = true;
+            q.locked = false;
+            q.ops.shift();
+            if (q.ops.length > 0) {
+                process.nextTick(q.ops[0], false);
+            } else if (db._queues[cname] === q) {
+                delete db._queues[cname];
+            }
+        };
+        var done = function() {
+            if (!called) {
+                release();
+                cb.apply(this, arguments);
+            }
+        };
+        try {
+            fn(done);
+        } catch (err) {
+            if (!immediate || called) {
+                done(err);
+                return;
+            }
+            //Operation started at call time throws its error to the caller
+            release();
+            throw err;
+        }
+    });
+    if (q.ops.length === 1) {
+        q.ops[0](true);
+    }
+}
+
+/**
+ * Mark asynchronous operation executed by the queue of collection `cname` (see `queuedWrite()`)
+ * as holding collection transaction until it is completed: blocking writes into collection fail.
+ * @private
+ */
+function lockQueue(db, cname) {
+    var q = db._queues[cname];
+    if (q) {
+        q.locked = true;
+    }
+}
+
+
+///////////////////////////////////////////////////////////////////////////
+//                             Write hooks                               //
+///////////////////////////////////////////////////////////////////////////
+
+var HOOK_OPERATIONS = ["save", "remove", "update", "dropCollection", "ensureCollection"];
+
+/**
+ * Register pre hook function called before every `op` write operation.
+ * Hooks are called in order of registration with `this` bound to the database
+ * and operation context object as argument, the same way in sync and async calling modes.
+ * Hook may change properties of the context object to alter the operation
+ * or return `false` to cancel it. Error thrown by hook is the operation error.
+ *
+ * Operation context objects:
+ *      - save: {op, cname, objects, opts}
+ *      - remove: {op, cname, oid}
+ *      - update: {op, cname, qobj, orarr, hints}
+ *      - dropCollection: {op, cname, prune}
+ *      - ensureCollection: {op, cname, copts}
+ *
+ * After successful operation database emits event with the operation name
+ * and the context object as argument. `save` context also has `oids` property:
+ * OIDs of saved objects, `update` context has `count` of updated objects.
+ *
+ * Cancelled operation takes no effect, it returns `[]` OIDs for `save`,
+ * zero count for `update` and no event is emitted.
+ *
+ * Sample:
+ *
+ *  db.use("save", function(ctx) {
+ *      ctx.objects.forEach(function(obj) {
+ *          obj["updated"] = new Date();
+ *      });
+ *  });
+ *  db.on("remove", function(ctx) {
+ *      cache.delete(ctx.oid);
+ *  });
+ *
+ * @param {String} op Operation name: `save`, `remove`, `update`, `dropCollection` or `ensureCollection`.
+ * @param {Function} fn Hook function with arguments: (ctx)
+ * @return {EJDB} this database
+ */
+EJDB.prototype.use = function(op, fn) {
+    if (HOOK_OPERATIONS.indexOf(op) === -1) {
+        throw new Error("Unsupported hook operation: '" + op + "'");
+    }
+    if (typeof fn !== "function") {
+        throw new Error("Hook function 'fn' argument must be specified");
+    }
+    (this._hooks[op] = this._hooks[op] || []).push(fn);
+    return this;
+};
+
+/**
+ * Remove pre hook function registered by `EJDB#use()`.
+ * @param {String} op Operation name
+ * @param {Function} fn Hook function
+ * @return {EJDB} this database
+ */
+EJDB.prototype.unuse = function(op, fn) {
+    var hooks = this._hooks[op] || [];
+    var idx = hooks.indexOf(fn);
+    if (idx !== -1) {
+        hooks.splice(idx, 1);
+    }
+    return this;
+};
+
+/**
+ * Run pre hooks for the operation context `ctx`.
+ * Returns `false` if operation should not be performed: it was cancelled
+ * or hook failed. In async mode `cb` is called with
+ * `cancelled` result or hook error, in sync mode hook error is thrown.
+ * @private
+ */
+function runHooks(db, ctx, cb, cancelled) {
+    var hooks = db._hooks[ctx.op] || [];
+    if (hooks.length === 0) {
+        return true;
+    }
+    hooks = hooks.slice();
+    try {
+        for (var i = 0; i < hooks.length; ++i) {
+            if (hooks[i].call(db, ctx) === false) {
+                if (cb) {
+                    process.nextTick(cb, null, cancelled);
+                }
+                return false;
+            }
+        }
+    } catch (err) {
+        if (!cb) {
+            throw err;
+        }
+        process.nextTick(cb, err);
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Emit operation event and change events of performed write operation.
+ * @private
+ */
+function afterWrite(db, ctx) {
+    db.emit(ctx.op, ctx);
+    afterChange(db, ctx);
+}
+
+/**
+ * Wrap operation callback to emit operation event on success.
+ * @private
+ */
+function afterHooks(db, ctx, cb) {
+    if (typeof cb !== "function") {
+        return cb;
+    }
+    return function(err) {
+        if (!err) {
+            afterWrite(db, ctx);
+        }
+        cb.apply(this, arguments);
+    };
+}
+
+
+///////////////////////////////////////////////////////////////////////////
+//                            Change streams                             //
+///////////////////////////////////////////////////////////////////////////
+
+/**
+ * Watch changes of objects in collection `cname` made by this database instance.
+ * Returns `ChangeStream` emitting `change` events with event object argument:
+ *
+ *  {
+ *      "type" : Change type: `insert`, `update`, `replace`, `remove` or `drop`
+ *      "cname" : Collection name
+ *      "_id" : OID of changed object, not set for `drop` events
+ *      "doc" : Object after the change, not set for `remove` and `drop` events
+ *  }
+ *
+ * Changes made by `save()`, `remove()`, `update()` queries and `dropCollection()` are reported.
+ * If `filter` query is specified only changes of objects matching it are reported,
+ * for `remove` events objects are matched before removal.
+ *
+ * `ChangeStream` is also async iterable (where `Symbol.asyncIterator` is supported).
+ * Stream should be closed by `ChangeStream#close()` when it is not needed anymore,
+ * all change streams are closed by `EJDB#close()`.
+ *
+ * `update` and `replace` events are reported only for objects which content was changed.
+ * If update query matches more than `EJDB.WATCH_MAX_OBJECTS` objects their content
+ * is not kept to detect changes: `update` events without `doc` are reported for all matched objects.
+ * Events of async write operations are emitted after changed objects are looked up
+ * asynchronously, so they can follow the operation callback.
+ *
+ * Errors of looking up changed objects are emitted as `error` events of change stream
+ * if it has `error` listeners, otherwise they are emitted as process warnings
+ * (see `process.emitWarning()`). They are never thrown or passed to callback
+ * of the write operation which is already performed.
+ *
+ * NOTE: Changes are reported when write is performed,
+ *       rolled back transactions do not revert reported changes.
+ *
+ * Sample:
+ *
+ *  var changes = db.watch("parrots", {"age" : {"$gt" : 3}});
+ *  changes.on("change", function(ev) {
+ *      console.log(ev.type + " " + ev._id);
+ *  });
+ *
+ * @param {String} cname Name of collection
+ * @param {Object} [filter] JSON query object
+ * @return {ChangeStream}
+ */
+EJDB.prototype.watch = function(cname, filter) {
+    if (typeof cname !== "string") {
+        throw new Error("Collection name 'cname' argument must be specified");
+    }
+    return new ChangeStream(this, cname, filter);
+};
+
+/**
+ * Maximum number of objects matched by update query which content is kept
+ * to report `update` events of change streams, see `EJDB#watch()`.
+ */
+EJDB.WATCH_MAX_OBJECTS = 1000;
+
+/**
+ * Update operations of update queries.
+ * They are removed from update query to select objects to be updated.
+ */
+var UPDATE_OPERATIONS = [
+    "$set", "$unset", "$inc", "$dropall", "$upsert", "$addToSet", "$addToSetAll",
+    "$push", "$pushAll", "$pull", "$pullAll", "$rename", "$do"
+];
+
+/**
+ * Collection objects change stream.
+ * @class
+ */
+function ChangeStream(db, cname, filter) {
+    events.EventEmitter.call(this);
+    this.db = db;
+    this.cname = cname;
+    this.filter = (filter && Object.keys(filter).length > 0) ? filter : null;
+    this.closed = false;
+    this._queue = Promise.resolve(); //pending emitting of change events of async operations
+    db._watches.push(this);
+}
+
+util.inherits(ChangeStream, events.EventEmitter);
+
+/**
+ * Stop watching of collection changes.
+ * `close` event is emitted.
+ */
+ChangeStream.prototype.close = function() {
+    if (this.closed) {
+        return;
+    }
+    this.closed = true;
+    var idx = this.db._watches.indexOf(this);
+    if (idx !== -1) {
+        this.db._watches.splice(idx, 1);
+    }
+    this.emit("close");
+};
+
+/**
+ * Emit `error` event or process warning if there are no `error` listeners.
+ * @private
+ */
+ChangeStream.prototype._error = function(err) {
+    if (this.closed) {
+        return;
+    }
+    if (this.listeners("error").length) {
+        this.emit("error", err);
+    } else {
+        process.emitWarning(err);
+    }
+};
+
+/**
+ * Select OIDs of objects in `oids` matching filter of change stream.
+ * Returns array of OIDs or its promise in async mode.
+ * @private
+ */
+ChangeStream.prototype._match = function(oids, async) {
+    if (!this.filter || oids.length === 0) {
+        return async ? Promise.resolve(oids) : oids;
+    }
+    var qobj = helpers.mergeObjects(this.filter, {"_id" : {"$in" : oids}});
+    var found = helpers.findObjects(this.db, [this.cname, qobj, {"$fields" : {"_id" : 1}}], async);
+    return helpers.maybeThen(found, function(objs) {
+        return objs.map(function(obj) {
+            return obj["_id"];
+        });
+    });
+};
+
+if (typeof Symbol.asyncIterator === "symbol") {
+    /**
+     * Async iterator of change events.
+     * Iterator `return()` closes the change stream.
+     */
+    ChangeStream.prototype[Symbol.asyncIterator] = function() {
+        var self = this;
+        var queue = [];
+        var waiting = [];
+        var error = null;
+        this.on("change", function(ev) {
+            if (waiting.length) {
+                waiting.shift().resolve({value : ev, done : false});
+            } else {
+                queue.push(ev);
+            }
+        });
+        this.on("error", function(err) {
+            if (waiting.length) {
+                waiting.shift().reject(err);
+            } else {
+                error = err;
+            }
+        });
+        this.once("close", function() {
+            while (waiting.length) {
+                waiting.shift().resolve({value : undefined, done : true});
+            }
+        });
+        return {
+            next : function() {
+                if (queue.length) {
+                    return Promise.resolve({value : queue.shift(), done : false});
+                }
+                if (error) {
+                    var err = error;
+                    error = null;
+                    return Promise.reject(err);
+                }
+                if (self.closed) {
+                    return Promise.resolve({value : undefined, done : true});
+                }
+                return new Promise(function(resolve, reject) {
+                    waiting.push({resolve : resolve, reject : reject});
+                });
+            },
+            "return" : function() {
+                self.close();
+                return Promise.resolve({value : undefined, done : true});
+            }
+        };
+    };
+}
+
+/**
+ * Perform write operation `ctx` by calling `fn` after the state needed to report
+ * its changes is collected by `beforeChange()`. In async mode (`cb` is provided)
+ * the state is collected asynchronously and `cb` is called with collecting errors
+ * or errors thrown by `fn`.
+ * @private
+ */
+function watchChanges(db, ctx, cb, fn) {
+    if (!collectionWatches(db, ctx.cname).length) {
+        return fn();
+    }
+    if (!cb) {
+        beforeChange(db, ctx, false);
+        return fn();
+    }
+    beforeChange(db, ctx, true).then(function() {
+        try {
+            fn();
+        } catch (err) {
+            cb(err);
+        }
+    }, function(err) {
+        cb(err);
+    });
+}
+
+/**
+ * Open change streams of collection `cname`.
+ * @private
+ */
+function collectionWatches(db, cname) {
+    return db._watches.filter(function(w) {
+        return w.cname === cname;
+    });
+}
+
+/**
+ * Find objects with `oids` in collection `cname`.
+ * Returns `_id` => object map or its promise in async mode.
+ * @private
+ */
+function objectsById(db, cname, oids, async) {
+    oids = oids.filter(function(oid) {
+        return (typeof oid === "string" && /^[0-9a-f]{24}$/.test(oid));
+    });
+    if (oids.length === 0) {
+        return async ? Promise.resolve({}) : {};
+    }
+    return helpers.maybeThen(helpers.findObjects(db, [cname, {"_id" : {"$in" : oids}}], async), function(objs) {
+        var ret = {};
+        objs.forEach(function(obj) {
+            ret[obj["_id"]] = obj;
+        });
+        return ret;
+    });
+}
+
+/**
+ * Returns true if objects `a` and `b` have different content.
+ * @private
+ */
+function objectChanged(a, b) {
+    return extjson.stringify(a) !== extjson.stringify(b);
+}
+
+/**
+ * Collect state needed to report changes of the write operation `ctx`
+ * before it is performed: objects to be changed or removed.
+ * Returns {undefined} or promise in async mode.
+ * @private
+ */
+function beforeChange(db, ctx, async) {
+    var watches = collectionWatches(db, ctx.cname);
+    var changes = {"async" : async};
+    Object.defineProperty(ctx, "_changes", {value : changes, configurable : true});
+    var matchRemoved = function(oids) {
+        var removed = watches.map(function(w) {
+            return w._match(oids, async);
+        });
+        return async ? Promise.all(removed) : removed;
+    };
+    var ret;
+    switch (ctx.op) {
+        case "save":
+            ret = helpers.maybeThen(objectsById(db, ctx.cname, ctx.objects.map(function(obj) {
+                return (obj != null) ? obj["_id"] : null;
+            }), async), function(stored) {
+                changes.stored = stored;
+            });
+            break;
+        case "remove":
+            ret = helpers.maybeThen(matchRemoved([ctx.oid]), function(removed) {
+                changes.removed = removed;
+            });
+            break;
+        case "update":
+            var qobj = {};
+            for (var k in ctx.qobj) {
+                if (UPDATE_OPERATIONS.indexOf(k) === -1) {
+                    qobj[k] = ctx.qobj[k];
+                }
+            }
+            var hints = helpers.mergeObjects(ctx.hints, null);
+            delete hints["$onlycount"];
+            delete hints["$explain"];
+            changes.query = [ctx.cname, qobj, ctx.orarr, hints];
+            var select = function(objs, full) {
+                changes.oids = objs.map(function(obj) {
+                    return obj["_id"];
+                });
+                changes.stored = full ? {} : null;
+                if (full) {
+                    objs.forEach(function(obj) {
+                        changes.stored[obj["_id"]] = obj;
+                    });
+                }
+                if (ctx.qobj["$dropall"]) {
+                    return helpers.maybeThen(matchRemoved(changes.oids), function(removed) {
+                        changes.removed = removed;
+                    });
+                }
+            };
+            var max = Math.min((hints["$max"] >= 0) ? hints["$max"] : Infinity, EJDB.WATCH_MAX_OBJECTS + 1);
+            var limited = helpers.mergeObjects(hints, {"$max" : max});
+            ret = helpers.maybeThen(helpers.findObjects(db, [ctx.cname, qobj, ctx.orarr, limited], async),
+                function(objs) {
+                    if (objs.length <= EJDB.WATCH_MAX_OBJECTS) {
+                        return select(objs, true);
+                    }
+                    //Too many objects, only their OIDs are kept
+                    objs = null;
+                    var ids = helpers.mergeObjects(hints, {"$fields" : {"_id" : 1}});
+                    return helpers.maybeThen(helpers.findObjects(db, [ctx.cname, qobj, ctx.orarr, ids], async),
+                        function(objs) {
+                            return select(objs, false);
+                        });
+                });
+            break;
+    }
+    return async ? Promise.resolve(ret) : undefined;
+}
+
+/**
+ * Emit change events of performed write operation `ctx`.
+ * Objects changed by async operations are looked up asynchronously,
+ * events of every change stream are emitted in the order of operations.
+ * @private
+ */
+function afterChange(db, ctx) {
+    var watches = collectionWatches(db, ctx.cname);
+    var changes = ctx._changes;
+    if (watches.length === 0 || (!changes && ctx.op !== "dropCollection")) {
+        return;
+    }
+    var async = !!(changes && changes.async);
+    var evs = []; //change events
+    var collect; //collect change events, returns {undefined} or promise in async mode
+    switch (ctx.op) {
+        case "save":
+            collect = function() {
+                var merged = ctx.opts["$merge"] ? ctx.oids : [];
+                return helpers.maybeThen(objectsById(db, ctx.cname, merged, async), function(current) {
+                    for (var i = 0; i < ctx.objects.length; ++i) {
+                        var obj = ctx.objects[i];
+                        var oid = ctx.oids[i];
+                        if (obj == null || oid == null) {
+                            continue;
+                        }
+                        var sobj = changes.stored[oid];
+                        if (!sobj) {
+                            evs.push({"type" : "insert", "_id" : oid, "doc" : obj});
+                        } else if (ctx.opts["$merge"]) {
+                            if (current[oid] && objectChanged(sobj, current[oid])) {
+                                evs.push({"type" : "update", "_id" : oid, "doc" : current[oid]});
+                            }
+                        } else if (objectChanged(sobj, obj)) {
+                            evs.push({"type" : "replace", "_id" : oid, "doc" : obj});
+                        }
+                    }
+                });
+            };
+            break;
+        case "remove":
+            evs.push({"type" : "remove", "_id" : ctx.oid});
+            break;
+        case "update":
+            collect = function() {
+                if (changes.removed) {
+                    evs = changes.oids.map(function(oid) {
+                        return {"type" : "remove", "_id" : oid};
+                    });
+                    return;
+                }
+                if (!changes.stored) {
+                    evs = changes.oids.map(function(oid) {
+                        return {"type" : "update", "_id" : oid};
+                    });
+                    return;
+                }
+                if (changes.oids.length === 0 && ctx.qobj["$upsert"]) {
+                    return helpers.maybeThen(helpers.findObjects(db, changes.query, async), function(objs) {
+                        evs = objs.map(function(obj) {
+                            return {"type" : "insert", "_id" : obj["_id"], "doc" : obj};
+                        });
+                    });
+                }
+                return helpers.maybeThen(objectsById(db, ctx.cname, changes.oids, async), function(current) {
+                    changes.oids.forEach(function(oid) {
+                        if (current[oid] && objectChanged(changes.stored[oid], current[oid])) {
+                            evs.push({"type" : "update", "_id" : oid, "doc" : current[oid]});
+                        }
+                    });
+                });
+            };
+            break;
+        case "dropCollection":
+            evs.push({"type" : "drop"});
+            break;
+    }
+    var emit = function(w, widx) {
+        var oids = evs.filter(function(ev) {
+            return ev.type !== "drop" && ev.type !== "remove";
+        }).map(function(ev) {
+            return ev["_id"];
+        });
+        return helpers.maybeThen(w._match(oids, async), function(matched) {
+            if (changes && changes.removed) {
+                matched = matched.concat(changes.removed[widx]);
+            }
+            evs.forEach(function(ev) {
+                if (w.closed || (ev.type !== "drop" && matched.indexOf(ev["_id"]) === -1)) {
+                    return;
+                }
+                var cev = {"type" : ev.type, "cname" : ctx.cname};
+                if (ev.type !== "drop") {
+                    cev["_id"] = ev["_id"];
+                }
+                if (ev["doc"]) {
+                    cev["doc"] = ev["doc"];
+                }
+                w.emit("change", cev);
+            });
+        });
+    };
+    if (!async) {
+        try {
+            if (collect) {
+                collect();
+            }
+        } catch (err) {
+            watches.forEach(function(w) {
+                w._error(err);
+            });
+            return;
+        }
+        watches.forEach(function(w, widx) {
+            try {
+                emit(w, widx);
+            } catch (err) {
+                w._error(err);
+            }
+        });
+        return;
+    }
+    var collected = Promise.resolve().then(collect);
+    watches.forEach(function(w, widx) {
+        w._queue = w._queue.then(function() {
+            return collected;
+        }).then(function() {
+            return emit(w, widx);
+        }).catch(function(err) {
+            w._error(err);
+        });
+    });
+}
+
+
+///////////////////////////////////////////////////////////////////////////
+//                       JSON schema validation                          //
+///////////////////////////////////////////////////////////////////////////
+
+/**
+ * Register JSON schema (draft-07) validator for objects saved into collection `cname`.
+ * Objects are validated by `EJDB#save()` in their JSON representation,
+ * eg: `Date` values are validated as ISO date strings (`"format" : "date-time"`).
+ *
+ * Update queries (`EJDB#update()` with `$set`, `$inc` and other update operations)
+ * are executed within collection transaction, objects updated by the query are validated
+ * and the transaction is rolled back if they are not valid. In this case `index` of validation
+ * errors (see below) is the index of failed object in the array of updated objects.
+ *
+ * Validation error has `validationErrors` property: array of
+ * `{index, path, keyword, message}` objects where `index` is the index
+ * of failed object in the saved array and `path` is the failed field path.
+ *
+ * Validator options (vopts):
+ *  {
+ *      "level" : Validation level: "strict" - reject saving of invalid objects,
+ *                "warn" - save invalid objects and report validation error by `warn` function.
+ *                Default: "strict"
+ *      "warn" : Function called with validation error in "warn" level.
+ *               Default: error is emitted as process warning (see `process.emitWarning()`).
+ *  }
+ *
+ * @param {String} cname Name of collection
+ * @param {Object} schema JSON schema or {null} to remove collection validator.
+ * @param {Object} [vopts] Validator options.
+ */
+EJDB.prototype.setValidator = function(cname, schema, vopts) {
+    if (typeof cname !== "string") {
+        throw new Error("Collection name 'cname' argument must be specified");
+    }
+    if (schema == null) {
+        delete this._validators[cname];
+        return;
+    }
+    this._validators[cname] = new CollectionValidator(cname, schema, vopts || {});
+};
+
+var ajv = null;
+
+/**
+ * Collection objects validator.
+ * @private
+ */
+function CollectionValidator(cname, schema, vopts) {
+    var level = vopts["level"] || "strict";
+    if (level !== "strict" && level !== "warn") {
+        throw new Error("Invalid validation level: '" + level + "'");
+    }
+    if (!ajv) {
+        ajv = new Ajv({allErrors : true, jsonPointers : true});
+    }
+    this.cname = cname;
+    this.level = level;
+    this.warn = (typeof vopts["warn"] === "function") ? vopts["warn"] : function(err) {
+        process.emitWarning(err);
+    };
+    this.validate = ajv.compile(schema);
+}
+
+/**
+ * Validate objects to be saved.
+ * If `cb` is not provided this function will be synchronous.
+ * @param {EJDB} db Database
+ * @param {Array} jsarr Objects to save
+ * @param {Boolean} merge Objects are merged with stored ones
+ * @param {Function} [cb] Callback function with arguments: (error)
+ */
+CollectionValidator.prototype.check = function(db, jsarr, merge, cb) {
+    var self = this;
+    var errors = [];
+    var validate = function(idx, obj) {
+        if (self.validate(JSON.parse(JSON.stringify(obj)))) {
+            return;
+        }
+        self.validate.errors.forEach(function(verr) {
+            var path = verr.dataPath.split("/").slice(1);
+            if (verr.params && verr.params.missingProperty != null) {
+                path.push(verr.params.missingProperty);
+            }
+            errors.push({
+                index : idx,
+                path : path.map(function(p) {
+                    return p.replace(/~1/g, "/").replace(/~0/g, "~");
+                }).join("."),
+                keyword : verr.keyword,
+                message : verr.message
+            });
+        });
+    };
+    var stored = function(obj) { //Stored object id if object will be merged with it
+        return (merge && obj["_id"] != null && /^[0-9a-f]{24}$/.test(obj["_id"])) ? obj["_id"] : null;
+    };
+    var finish = function() {
+        if (errors.length === 0) {
+            return null;
+        }
+        var first = errors[0];
+        var err = new Error("Object #" + first.index + " is not valid for collection '" + self.cname + "': " +
+                            (first.path ? "'" + first.path + "' " : "") + first.message +
+                            (errors.length > 1 ? " (" + (errors.length - 1) + " more errors)" : ""));
+        err.validationErrors = errors;
+        if (self.level === "warn") {
+            self.warn(err);
+            return null;
+        }
+        return err;
+    };
+    var i, obj, err;
+    if (!cb) {
+        for (i = 0; i < jsarr.length; ++i) {
+            obj = jsarr[i];
+            if (obj == null || typeof obj !== "object") {
+                continue;
+            }
+            validate(i, stored(obj) ? helpers.mergeObjects(db.load(self.cname, stored(obj)), obj) : obj);
+        }
+        err = finish();
+        if (err) {
+            throw err;
+        }
+        return;
+    }
+    i = 0;
+    var next = function() {
+        for (; i < jsarr.length; ++i) {
+            obj = jsarr[i];
+            if (obj == null || typeof obj !== "object") {
+                continue;
+            }
+            if (stored(obj)) {
+                db.load(self.cname, stored(obj), function(err, sobj) {
+                    if (err) {
+                        cb(err);
+                        return;
+                    }
+                    try {
+                        validate(i++, helpers.mergeObjects(sobj, obj));
+                        next();
+                    } catch (err) {
+                        cb(err);
+                    }
+                });
+                return;
+            }
+            validate(i, obj);
+        }
+        process.nextTick(cb, finish()); //Errors thrown by `cb` are not caught here
+    };
+    try {
+        next();
+    } catch (err) {
+        process.nextTick(cb, err);
+    }
+};
+
+/**
+ * Returns true if update query `qobj` modifies objects (not only removes them by `$dropall`).
+ * @private
+ */
+function modifiesObjects(qobj) {
+    for (var k in qobj) {
+        if (k !== "$dropall" && UPDATE_OPERATIONS.indexOf(k) !== -1) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Execute update query `ctx` on collection with validator within collection transaction
+ * (or within the transaction already active) and validate updated objects.
+ * If `cb` is not provided this function will be synchronous.
+ * @private
+ */
+function validatedUpdate(db, validator, ctx, cb) {
+    var cname = ctx.cname;
+    var qobj = {};
+    for (var k in ctx.qobj) {
+        if (UPDATE_OPERATIONS.indexOf(k) === -1) {
+            qobj[k] = ctx.qobj[k];
+        }
+    }
+    var hints = helpers.mergeObjects(ctx.hints, {"$fields" : {"_id" : 1}});
+    delete hints["$onlycount"];
+    delete hints["$explain"];
+    var select = [cname, qobj, ctx.orarr, hints];
+    var query = [ctx.qobj].concat(ctx.orarr, ctx.hints);
+    var ids = function(objs, ret) { //Add `_id` of objects to `ret`
+        objs.forEach(function(obj) {
+            if (ret.indexOf(obj["_id"]) === -1) {
+                ret.push(obj["_id"]);
+            }
+        });
+        return ret;
+    };
+    var active, matched, count, log;
+    if (!cb) {
+        active = db.getTransactionStatus(cname);
+        if (!active) {
+            db.beginTransaction(cname);
+        }
+        try {
+            matched = ids(db.find.apply(db, select).toArray(), []);
+            count = syncQueryResult(db._impl.query(cname, query, ejdblib.JBQRYCOUNT));
+            if (ctx.qobj["$upsert"] != null) { //Upserted object matches the query
+                matched = ids(db.find.apply(db, select).toArray(), matched);
+            }
+            if (matched.length > 0) {
+                validator.check(db, db.find(cname, {"_id" : {"$in" : matched}}).toArray(), false);
+            }
+            if (!active) {
+                db.commitTransaction(cname);
+            }
+        } catch (err) {
+            if (!active && db.getTransactionStatus(cname)) {
+                db.rollbackTransaction(cname);
+            }
+            throw err;
+        }
+        ctx.count = count;
+        afterWrite(db, ctx);
+        return count;
+    }
+    var find = function(args) {
+        return helpers.callAsync(db, db.find, args).then(function(cursor) {
+            return cursor.toArray();
+        });
+    };
+    lockQueue(db, cname);
+    helpers.callAsync(db, db.getTransactionStatus, [cname]).then(function(status) {
+        active = status;
+        return active || helpers.callAsync(db, db.beginTransaction, [cname]);
+    }).then(function() {
+        return find(select);
+    }).then(function(objs) {
+        matched = ids(objs, []);
+        return new Promise(function(resolve, reject) {
+            db._impl.query(cname, query, ejdblib.JBQRYCOUNT, function(err, cursor, ret, qlog) {
+                log = qlog;
+                if (err) {
+                    reject(helpers.toError(err));
+                    return;
+                }
+                count = ret;
+                resolve();
+            });
+        });
+    }).then(function() {
+        return ctx.qobj["$upsert"] != null && find(select).then(function(objs) {
+            ids(objs, matched);
+        });
+    }).then(function() {
+        return matched.length > 0 && find([cname, {"_id" : {"$in" : matched}}]).then(function(objs) {
+            return helpers.callAsync(validator, validator.check, [db, objs, false]);
+        });
+    }).then(function() {
+        return active || helpers.callAsync(db, db.commitTransaction, [cname]);
+    }).then(function() {
+        ctx.count = count;
+        afterWrite(db, ctx);
+        cb(null, count, log);
+    }, function(err) {
+        var done = function() {
+            cb(err, null, log);
+        };
+        if (active !== false) {
+            done();
+            return;
+        }
+        helpers.callAsync(db, db.getTransactionStatus, [cname]).then(function(status) {
+            return status && helpers.callAsync(db, db.rollbackTransaction, [cname]);
+        }).then(done, done);
+    });
+}
+
+
+
+///////////////////////////////////////////////////////////////////////////
+//                         Promise based API                             //
+///////////////////////////////////////////////////////////////////////////
+
+/**
+ * Names of async capable methods exposed by `EJDB#promises`.
+ */
+var PROMISIFIED_METHODS = [
+    "close", "ensureCollection", "configureCollection", "dropCollection",
+    "save", "load", "remove", "find", "findOne", "update", "count", "explain",
+    "aggregate", "distinct", "countBy", "bulkWrite", "findAndModify", "paginate",
+    "exportCollection", "importCollection", "exportCSV", "importCSV",
+    "listIndexes", "syncIndexes", "setTTL", "expireNow",
+    "backup", "command", "sync",
+    "dropIndexes", "optimizeIndexes",
+    "ensureStringIndex", "rebuildStringIndex", "dropStringIndex",
+    "ensureIStringIndex", "rebuildIStringIndex", "dropIStringIndex",
+    "ensureNumberIndex", "rebuildNumberIndex", "dropNumberIndex",
+    "ensureArrayIndex", "rebuildArrayIndex", "dropArrayIndex",
+    "beginTransaction", "commitTransaction", "rollbackTransaction", "getTransactionStatus"
+];
+
+/**
+ * Callback results to promise resolution value converters
+ * for methods passing more than one result value into callback.
+ * Other methods are resolved with the first callback result.
+ */
+var PROMISE_RESULTS = {
+    //(err, cursor, count, [log])
+    find : function(cursor, count, log) {
+        if (log !== undefined) {
+            return {cursor : cursor, count : count, log : log};
+        }
+        return (cursor != null) ? cursor : count; //count in the $onlycount mode
+    },
+    //(err, count, [log])
+    update : countResult,
+    count : countResult
+};
+
+function countResult(count, log) {
+    if (log !== undefined) {
+        return {count : count, log : log};
+    }
+    return count;
+}
+
+/**
+ * Build promise returning variant of `cb` style method `mname` of `target`.
+ */
+function promisify(target, mname) {
+    var rconv = PROMISE_RESULTS[mname];
+    return function() {
+        var args = Array.prototype.slice.call(arguments);
+        //Trailing undefined arguments confuse optional arguments detection
+        while (args.length > 0 && args[args.length - 1] === undefined) {
+            args.pop();
+        }
+        return new Promise(function(resolve, reject) {
+            args.push(function(err) {
+                var rargs = Array.prototype.slice.call(arguments, 1);
+                if (err) {
+                    err = helpers.toError(err);
+                    if (rconv && rargs.length > 1 && rargs[rargs.length - 1] != null) {
+                        err.log = rargs[rargs.length - 1];
+                    }
+                    reject(err);
+                    return;
+                }
+                resolve(rconv ? rconv.apply(null, rargs) : rargs[0]);
+            });
+            target[mname].apply(target, args);
+        });
+    };
+}
+
+function promisifyAll(target, mnames) {
+    var ret = {};
+    for (var i = 0; i < mnames.length; ++i) {
+        ret[mnames[i]] = promisify(target, mnames[i]);
+    }
+    return ret;
+}
+
+/**
+ * Promise based API namespace: `db.promises`.
+ *
+ * Contains promise returning variants of all async capable methods
+ * of `EJDB` instance. Every method accepts the same arguments as its
+ * callback based counterpart (without callback) and returns a promise
+ * rejected with `Error` object on failure.
+ *
+ * Promise resolution values:
+ *      - find() Cursor object or count {Number} if `$onlycount` hint is set.
+ *      - update(), count() Number of updated/matched records.
+ *      - save() Array of OIDs of saved objects.
+ *      - Other methods are resolved with the first callback result value.
+ *
+ * If `$explain` hint is set find(), update() and count() are resolved with
+ * `{cursor, count, log}` object instead where `log` is the query execution log.
+ * Rejection error of the explained query also has a `log` property.
+ *
+ * Example:
+ *      var db = await EJDB.openAsync("zoo");
+ *      var oids = await db.promises.save("parrots", {name : "Grenny"});
+ *      var count = await db.promises.count("parrots", {name : "Grenny"});
+ *      await db.promises.close();
+ *
+ * @name promises
+ * @memberOf EJDB#
+ * @type {Object}
+ */
+
+
+///////////////////////////////////////////////////////////////////////////
+//                         Collection handle                             //
+///////////////////////////////////////////////////////////////////////////
+
+/**
+ * Names of EJDB methods taking collection name as the first argument
+ * which are bound to the `Collection` handle.
+ */
+var COLLECTION_METHODS = [
+    "ensureCollection", "configureCollection", "dropCollection",
+    "save", "load", "remove", "find", "findIter", "findOne", "update", "count",
+    "dropIndexes", "optimizeIndexes",
+    "ensureStringIndex", "rebuildStringIndex", "dropStringIndex",
+    "ensureIStringIndex", "rebuildIStringIndex", "dropIStringIndex",
+    "ensureNumberIndex", "rebuildNumberIndex", "dropNumberIndex",
+    "ensureArrayIndex", "rebuildArrayIndex", "dropArrayIndex",
+    "beginTransaction", "commitTransaction", "rollbackTransaction", "getTransactionStatus",
+    "withTransaction", "setValidator", "watch", "query", "explain",
+    "aggregate", "distinct", "countBy", "bulkWrite", "findAndModify", "paginate",
+    "exportCollection", "importCollection", "exportCSV", "importCSV",
+    "listIndexes", "syncIndexes", "setTTL", "expireNow"
+];
+
+/**
+ * Collection handle.
+ * Provides the collection related methods of EJDB with collection name bound
+ * as the first argument, eg: `coll.find(qobj, cb)` is the same as `db.find(cname, qobj, cb)`.
+ *
+ * Use `EJDB#collection()` to obtain a handle.
+ *
+ * @param {EJDB} db Database instance.
+ * @param {String} cname Name of collection.
+ * @class
+ * @memberOf ejdb
+ */
+var Collection = function(db, cname) {
+    Object.defineProperty(this, "db", {
+        value : db,
+        configurable : false,
+        enumerable : false,
+        writable : false
+    });
+    Object.defineProperty(this, "name", {
+        value : cname,
+        configurable : false,
+        enumerable : true,
+        writable : false
+    });
+    Object.defineProperty(this, "promises", {
+        value : promisifyAll(this, COLLECTION_METHODS.filter(function(mname) {
+            return PROMISIFIED_METHODS.indexOf(mname) !== -1;
+        })),
+        configurable : false,
+        enumerable : false,
+        writable : false
+    });
+    return this;
+};
+
+/**
+ * Collection description object as reported by `EJDB#getDBMeta()`
+ * or {null} if collection does not exist.
+ */
+Object.defineProperty(Collection.prototype, "meta", {
+    get : function() {
+        var dm = this.db.getDBMeta();
+        var colls = (dm && dm["collections"]) || [];
+        for (var i = 0; i < colls.length; ++i) {
+            if (colls[i]["name"] === this.name) {
+                return colls[i];
+            }
+        }
+        return null;
+    },
+    configurable : false,
+    enumerable : false
+});
+
+function bindCollectionMethod(mname) {
+    return function() {
+        var args = [this.name];
+        for (var i = 0; i < arguments.length; ++i) {
+            args.push(arguments[i]);
+        }
+        return this.db[mname].apply(this.db, args);
+    };
+}
+
+COLLECTION_METHODS.forEach(function(mname) {
+    Collection.prototype[mname] = bindCollectionMethod(mname);
+});
+
+/**
+ * Return collection handle object for collection `cname`.
+ * If `copts` is provided the collection will be created (if it does not exist)
+ * with specified options in blocking mode, see `EJDB#ensureCollection()`.
+ *
+ * @param {String} cname Name of collection.
+ * @param {Object} [copts] Collection options.
+ * @return {Collection} Collection handle.
+ */
+EJDB.prototype.collection = function(cname, copts) {
+    if (typeof cname !== "string") {
+        throw new Error("Collection name 'cname' argument must be specified");
+    }
+    if (copts) {
+        this.ensureCollection(cname, copts);
+    }
+    return new Collection(this, cname);
+};
+
+EJDB.Collection = Collection;
+
+
+///////////////////////////////////////////////////////////////////////////
+//                            Query builder                              //
+///////////////////////////////////////////////////////////////////////////
+
+/**
+ * Return chainable query builder for collection `cname`.
+ *
+ * Sample:
+ *
+ *  db.query("parrots")
+ *      .where("age").gt(3)
+ *      .or(function(q) {
+ *          q.where("name").begin("Gr");
+ *      })
+ *      .orderBy("name", 1)
+ *      .fields(["name", "age"])
+ *      .skip(10).limit(5)
+ *      .find(function(err, cursor, count) {
+ *          ...
+ *      });
+ *
+ * @param {String} cname Name of collection.
+ * @return {Query} Query builder.
+ */
+EJDB.prototype.query = function(cname) {
+    if (typeof cname !== "string") {
+        throw new Error("Collection name 'cname' argument must be specified");
+    }
+    return new Query(this, cname);
+};
+
+/**
+ * Query builder.
+ * Builds the main query object, the array of OR query objects and query hints
+ * passed to the query methods of EJDB.
+ *
+ * Use `EJDB#query()` to obtain a builder.
+ *
+ * @param {EJDB} db Database instance.
+ * @param {String} cname Name of collection.
+ * @class
+ * @memberOf ejdb
+ */
+var Query = function(db, cname) {
+    this.db = db;
+    this.cname = cname;
+    this.qobj = {};
+    this.orarr = [];
+    this.hints = {};
+    this._field = null; //Current field path set by where()
+    return this;
+};
+
+/**
+ * Select field for the following condition methods
+ * or merge fields of the query object into the main query.
+ *
+ *  - where("name").eq("Grenny")
+ *  - where({"name" : "Grenny"})
+ *
+ * @param {String|Object} path Field path or query object.
+ * @return {Query} this query
+ */
+Query.prototype.where = function(path) {
+    if (path != null && typeof path === "object") {
+        for (var k in path) {
+            this.qobj[k] = path[k];
+        }
+        this._field = null;
+    } else if (typeof path === "string" && path.length > 0) {
+        this._field = path;
+    } else {
+        throw new Error("Field 'path' argument must be specified");
+    }
+    return this;
+};
+
+/**
+ * Add condition `{op : val}` for the current field.
+ * @private
+ */
+Query.prototype._cond = function(op, val) {
+    if (this._field == null) {
+        throw new Error("Query field is not specified, call where() first");
+    }
+    var c = this.qobj[this._field];
+    if (c == null || typeof c !== "object" || Array.isArray(c) ||
+        c instanceof Date || c instanceof RegExp) {
+        c = this.qobj[this._field] = {};
+    }
+    c[op] = val;
+    return this;
+};
+
+/**
+ * Field is equal to `val`.
+ * @param {*} val
+ * @return {Query} this query
+ */
+Query.prototype.eq = function(val) {
+    if (this._field == null) {
+        throw new Error("Query field is not specified, call where() first");
+    }
+    this.qobj[this._field] = val;
+    return this;
+};
+
+[
+    ["ne", "$ne"], ["gt", "$gt"], ["gte", "$gte"], ["lt", "$lt"], ["lte", "$lte"],
+    ["in", "$in"], ["nin", "$nin"], ["begin", "$begin"], ["elemMatch", "$elemMatch"],
+    ["strand", "$strand"], ["stror", "$stror"], ["icase", "$icase"]
+].forEach(function(m) {
+    Query.prototype[m[0]] = function(val) {
+        return this._cond(m[1], val);
+    };
+});
+
+/**
+ * Field value is between `from` and `to` (inclusive).
+ * @param {Number} from
+ * @param {Number} to
+ * @return {Query} this query
+ */
+Query.prototype.between = function(from, to) {
+    return this._cond("$bt", [from, to]);
+};
+
+/**
+ * Field exists (default) or not exists.
+ * @param {Boolean} [exists=true]
+ * @return {Query} this query
+ */
+Query.prototype.exists = function(exists) {
+    return this._cond("$exists", exists !== false);
+};
+
+/**
+ * Add alternative OR query.
+ *
+ *  - or({"name" : "Grenny"})
+ *  - or(function(q) { q.where("name").eq("Grenny"); })
+ *
+ * @param {Object|Function} q Query object or function populating a new query builder.
+ * @return {Query} this query
+ */
+Query.prototype.or = function(q) {
+    if (typeof q === "function") {
+        var oq = new Query(this.db, this.cname);
+        q(oq);
+        q = oq.qobj;
+    }
+    if (q == null || typeof q !== "object") {
+        throw new Error("Invalid OR query");
+    }
+    this.orarr.push(q);
+    return this;
+};
+
+/**
+ * Sort results by field `path`.
+ * Subsequent calls add sort fields of lower priority.
+ * @param {String} path Field path
+ * @param {Number} [dir=1] 1 for ascending, -1 for descending order
+ * @return {Query} this query
+ */
+Query.prototype.orderBy = function(path, dir) {
+    var orderby = this.hints["$orderby"] = this.hints["$orderby"] || {};
+    orderby[path] = (dir === -1 || dir === "desc") ? -1 : 1;
+    return this;
+};
+
+/**
+ * Select fields to be fetched.
+ *
+ *  - fields(["name", "age"])
+ *  - fields({"name" : 1, "age" : 1})
+ *
+ * @param {Array|Object} fields
+ * @return {Query} this query
+ */
+Query.prototype.fields = function(fields) {
+    if (Array.isArray(fields)) {
+        var fobj = {};
+        fields.forEach(function(f) {
+            fobj[f] = 1;
+        });
+        fields = fobj;
+    }
+    this.hints["$fields"] = fields;
+    return this;
+};
+
+/**
+ * Skip `n` first records.
+ * @param {Number} n
+ * @return {Query} this query
+ */
+Query.prototype.skip = function(n) {
+    this.hints["$skip"] = n;
+    return this;
+};
+
+/**
+ * Fetch at most `n` records.
+ * @param {Number} n
+ * @return {Query} this query
+ */
+Query.prototype.limit = function(n) {
+    this.hints["$max"] = n;
+    return this;
+};
+
+/**
+ * Set query hint.
+ * @param {String} name Hint name, eg: `$explain`
+ * @param {*} val Hint value
+ * @return {Query} this query
+ */
+Query.prototype.hint = function(name, val) {
+    this.hints[name] = val;
+    return this;
+};
+
+/**
+ * Execute query, see `EJDB#find()`.
+ * @param {Function} [cb] Callback function with arguments: (error, cursor, count)
+ */
+Query.prototype.find = function(cb) {
+    return this.db.find(this.cname, this.qobj, this.orarr, this.hints, cb);
+};
+
+/**
+ * Execute query returning first matched object, see `EJDB#findOne()`.
+ * @param {Function} [cb] Callback function with arguments: (error, obj)
+ */
+Query.prototype.findOne = function(cb) {
+    return this.db.findOne(this.cname, this.qobj, this.orarr, this.hints, cb);
+};
+
+/**
+ * Return iterator over query results, see `EJDB#findIter()`.
+ * @return {QueryIterator}
+ */
+Query.prototype.findIter = function() {
+    return this.db.findIter(this.cname, this.qobj, this.orarr, this.hints);
+};
+
+/**
+ * Count matched objects, see `EJDB#count()`.
+ * @param {Function} [cb] Callback function with arguments: (error, count)
+ */
+Query.prototype.count = function(cb) {
+    return this.db.count(this.cname, this.qobj, this.orarr, this.hints, cb);
+};
+
+/**
+ * Update matched objects with update operations, see `EJDB#update()`.
+ *
+ *  - update({"$set" : {"age" : 4}})
+ *
+ * @param {Object} uobj Update operations, eg: `$set`, `$inc`, `$dropall`
+ * @param {Function} [cb] Callback function with arguments: (error, count)
+ */
+Query.prototype.update = function(uobj, cb) {
+    return this.db.update(this.cname, helpers.mergeObjects(this.qobj, uobj), this.orarr, this.hints, cb);
+};
+
+/**
+ * Execute query and return its execution plan, see `EJDB#explain()`.
+ * @param {Function} [cb] Callback function with arguments: (error, plan)
+ */
+Query.prototype.explain = function(cb) {
+    return this.db.explain(this.cname, this.qobj, this.orarr, this.hints, cb);
+};
+
+/**
+ * Built query as `{qobj, orarr, hints}` object.
+ * @return {Object}
+ */
+Query.prototype.toJSON = function() {
+    return {"qobj" : this.qobj, "orarr" : this.orarr, "hints" : this.hints};
+};
+
+EJDB.Query = Query;
+
+
+///////////////////////////////////////////////////////////////////////////
+//                             Query explain                             //
+///////////////////////////////////////////////////////////////////////////
+
+/**
+ * Execute query with `$explain` hint and return the query execution plan
+ * parsed by `EJDB.parseExplainLog()` with additional properties:
+ *
+ *  {
+ *      "query" : {"qobj" : main query, "orarr" : OR queries, "hints" : query hints}
+ *      "time" : Query execution time in milliseconds measured by client
+ *  }
+ *
+ * Update queries are not executed: error is thrown for query with update operations
+ * (`$set`, `$inc`, `$dropall`, etc.), use `EJDB#update()` to perform them.
+ *
+ * Call variations of explain():
+ *       - explain(cname, [cb])
+ *       - explain(cname, qobj, [cb])
+ *       - explain(cname, qobj, hints, [cb])
+ *       - explain(cname, qobj, qobjarr, [cb])
+ *       - explain(cname, qobj, qobjarr, hints, [cb])
+ *
+ * Sample:
+ *
+ *  var plan = db.explain("parrots", {"name" : "Grenny"});
+ *  assert(plan.index === "sname" && !plan.fullscan);
+ *
+ * @param {String} cname Name of collection
+ * @param {Object} qobj Main JSON query object
+ * @param {Array} [orarr] Array of additional OR query objects (joined with OR predicate).
+ * @param {Object} [hints] JSON object with query hints.
+ * @param {Function} [cb] Callback function with arguments: (error, plan)
+ * @return  If callback is provided returns {undefined}.
+ *          If no callback is provided returns query plan {Object}.
+ */
+EJDB.prototype.explain = function() {
+    //[cname, qobj, orarr, hints, cb]
+    var qa = parseQueryArgs(arguments);
+    var cb = qa[4];
+    if (isUpdateQuery(qa[1])) {
+        throw new Error("Update queries are not supported by explain()");
+    }
+    var hints = helpers.mergeObjects(qa[3], {"$explain" : true});
+    var qarr = [qa[1]].concat(qa[2], hints);
+    var flags = hints["$onlycount"] ? ejdblib.JBQRYCOUNT : 0;
+    var started = process.hrtime();
+    var plan = function(cursor, log) {
+        var elapsed = process.hrtime(started);
+        if (cursor) {
+            cursor.close();
+        }
+        var ret = parseExplainLog(log);
+        ret["query"] = {"qobj" : qa[1], "orarr" : qa[2], "hints" : qa[3]};
+        ret["time"] = elapsed[0] * 1e3 + elapsed[1] / 1e6;
+        return ret;
+    };
+    if (cb) {
+        this._impl.query(qa[0], qarr, flags, function(err, cursor, count, log) {
+            if (err) {
+                cb(err);
+                return;
+            }
+            cb(null, plan(cursor, log));
+        });
+        return;
+    }
+    var ret = this._impl.query(qa[0], qarr, flags);
+    return plan(ret[0], ret[2]);
+};
+
+/**
+ * Check if query object contains update operations.
+ */
+function isUpdateQuery(qobj) {
+    for (var k in qobj) {
+        if (UPDATE_OPERATIONS.indexOf(k) !== -1) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Names of index operations (`MAIN IDX TCOP` log values)
+ */
+var EXPLAIN_INDEX_OPS = [
+    "STREQ", "STRINC", "STRBW", "STREW", "STRAND", "STROR", "STROREQ", "STRRX",
+    "NUMEQ", "NUMGT", "NUMGE", "NUMLT", "NUMLE", "NUMBT", "NUMOREQ",
+    "FTSPH", "FTSAND", "FTSOR", "FTSEX", "EXIST", "TRUE", "STRNUMOR", "STRORBW"
+];
+
+/**
+ * Index types by prefix of index name
+ */
+var EXPLAIN_INDEX_TYPES = {"s" : "str", "i" : "istr", "n" : "num", "a" : "arr"};
+
+/**
+ * Parse query `$explain` log into object:
+ *
+ *  {
+ *      "index" : Name of main index used by query (eg: `sname`) or {null} if no index used
+ *      "indexType" : Type of main index: `str`, `istr`, `num`, `arr` or {null}
+ *      "indexField" : Field path of main index or {null}
+ *      "indexOp" : Main index operation (eg: `STREQ`, `NUMGT`, `NOT NUMEQ`) or {null}
+ *      "primaryKey" : True if objects are selected by `_id`
+ *      "fullscan" : True if full collection scan is performed
+ *      "simpleCount" : True for count(*) query answered without scanning
+ *      "updating" : True for update queries
+ *      "countOnly" : True if only count of matched objects is requested
+ *      "conditions" : Number of active conditions of main query
+ *      "orQueries" : Number of OR queries
+ *      "andQueries" : Number of AND queries
+ *      "orderFields" : Number of `$orderby` fields
+ *      "finalSorting" : True if results are sorted after selection (sort is not served by index)
+ *      "fetchAll" : True if all matched objects are fetched before `$skip`/`$max` are applied
+ *      "skip" : Number of skipped objects
+ *      "max" : Max number of objects to fetch or {null} if not limited
+ *      "matched" : Number of matched objects
+ *      "returned" : Number of objects in result set
+ *      "log" : Original explain log
+ *  }
+ *
+ * NOTE: EJDB does not report number of scanned records,
+ *       `fullscan` and index properties reflect how many objects were examined.
+ *
+ * @param {String} log Query explain log
+ * @return {Object}
+ */
+function parseExplainLog(log) {
+    var ret = {
+        "index" : null,
+        "indexType" : null,
+        "indexField" : null,
+        "indexOp" : null,
+        "primaryKey" : false,
+        "fullscan" : false,
+        "simpleCount" : false,
+        "updating" : false,
+        "countOnly" : false,
+        "conditions" : 0,
+        "orQueries" : 0,
+        "andQueries" : 0,
+        "orderFields" : 0,
+        "finalSorting" : false,
+        "fetchAll" : false,
+        "skip" : 0,
+        "max" : null,
+        "matched" : null,
+        "returned" : null,
+        "log" : log || ""
+    };
+    ret["log"].split("\n").forEach(function(line) {
+        var m = /^([^:]+):\s*(.*)$/.exec(line.trim());
+        if (!m) {
+            if (line.indexOf("RUN FULLSCAN") !== -1 || line.indexOf("VANISH WHOLE COLLECTION") !== -1) {
+                ret["fullscan"] = true;
+            }
+            return;
+        }
+        var val = m[2];
+        switch (m[1]) {
+            case "UPDATING MODE":
+                ret["updating"] = (val === "YES");
+                break;
+            case "MAX":
+                ret["max"] = (+val >= 0xffffffff) ? null : +val;
+                break;
+            case "SKIP":
+                ret["skip"] = +val;
+                break;
+            case "COUNT ONLY":
+                ret["countOnly"] = (val === "YES");
+                break;
+            case "MAIN IDX":
+                val = val.replace(/^'|'$/g, "");
+                if (val !== "NONE" && val !== "") {
+                    ret["index"] = val;
+                    ret["indexType"] = EXPLAIN_INDEX_TYPES[val.charAt(0)] || null;
+                    ret["indexField"] = val.substring(1);
+                }
+                break;
+            case "MAIN IDX TCOP":
+                var op = +val;
+                var name = EXPLAIN_INDEX_OPS[op & 0xffffff];
+                ret["indexOp"] = name ? ((op & (1 << 24)) ? "NOT " + name : name) : val;
+                break;
+            case "PRIMARY KEY MATCHING":
+                ret["primaryKey"] = (val === "TRUE");
+                break;
+            case "ORDER FIELDS":
+                ret["orderFields"] = +val;
+                break;
+            case "ACTIVE CONDITIONS":
+                ret["conditions"] = +val;
+                break;
+            case "ROOT $OR QUERIES":
+                ret["orQueries"] = +val;
+                break;
+            case "ROOT $AND QUERIES":
+                ret["andQueries"] = +val;
+                break;
+            case "FETCH ALL":
+                ret["fetchAll"] = (val === "YES");
+                break;
+            case "SIMPLE COUNT(*)":
+                ret["simpleCount"] = true;
+                ret["countOnly"] = true;
+                ret["matched"] = +val;
+                break;
+            case "RS COUNT":
+                ret["matched"] = +val;
+                break;
+            case "RS SIZE":
+                ret["returned"] = +val;
+                break;
+            case "FINAL SORTING":
+                ret["finalSorting"] = (val === "YES");
+                break;
+        }
+    });
+    return ret;
+}
+
+EJDB.parseExplainLog = parseExplainLog;
+
+
+///////////////////////////////////////////////////////////////////////////
+//                              Aggregation                              //
+///////////////////////////////////////////////////////////////////////////
+
+/**
+ * Run aggregation pipeline over objects of collection `cname`.
+ *
+ * Pipeline stages:
+ *      - {"$match" : qobj} Filter objects by query.
+ *      - {"$project" : {"field" : 1, "other" : 0, "computed" : "$field.path"}} Reshape objects.
+ *      - {"$group" : {"_id" : expr, "field" : {accumulator : expr}}} Group objects by `_id` expression.
+ *              Accumulators: `$sum`, `$avg`, `$min`, `$max`, `$first`, `$last`, `$push`, `$addToSet`.
+ *      - {"$sort" : {"field" : 1|-1}} Sort objects.
+ *      - {"$skip" : n} Skip `n` objects.
+ *      - {"$limit" : n} Pass at most `n` objects.
+ *      - {"$unwind" : "$field"} Output object for each element of array field.
+ *      - {"$count" : "field"} Output single object with number of objects in the `field`.
+ *
+ * Expressions are `"$field.path"` strings, objects of expressions or literal values.
+ *
+ * Leading `$match`, `$sort`, `$skip`, `$limit` stages are executed by the database query
+ * (using indexes), the rest of stages process query results one by one:
+ * in async mode results are fetched in batches (see `EJDB#findIter()`) so memory stays
+ * bounded except for `$group` and `$sort` stages which keep groups and sorted objects.
+ * `$match` stages following other stages support only basic query operations:
+ * `$ne`, `$gt`, `$gte`, `$lt`, `$lte`, `$in`, `$nin`, `$bt`, `$exists`, `$begin`, `$not`, `$and`, `$or`.
+ * Field paths of `$project` and `$unwind` stages with `__proto__`, `constructor`
+ * or `prototype` segments are rejected.
+ *
+ * Sample:
+ *
+ *  db.aggregate("parrots", [
+ *      {"$match" : {"age" : {"$gt" : 1}}},
+ *      {"$unwind" : "$likes"},
+ *      {"$group" : {"_id" : "$likes", "count" : {"$sum" : 1}, "avgAge" : {"$avg" : "$age"}}},
+ *      {"$sort" : {"count" : -1}}
+ *  ], function(err, results) {
+ *      ...
+ *  });
+ *
+ * If callback is not provided this function will be synchronous.
+ *
+ * @param {String} cname Name of collection
+ * @param {Array} pipeline Array of pipeline stages
+ * @param {Function} [cb] Callback function with arguments: (error, results)
+ * @return {Array} of results in synchronous mode otherwise returns {undefined}.
+ */
+EJDB.prototype.aggregate = function(cname, pipeline, cb) {
+    if (typeof cname !== "string") {
+        throw new Error("Collection name 'cname' argument must be specified");
+    }
+    var p;
+    if (!cb) {
+        p = new aggregate.Pipeline(pipeline);
+        var cursor = this.find(cname, p.qobj, p.hints);
+        try {
+            while (cursor.next() && p.push(cursor.object())) {
+            }
+        } finally {
+            cursor.close();
+        }
+        return p.end();
+    }
+    var it;
+    try {
+        p = new aggregate.Pipeline(pipeline);
+        it = this.findIter(cname, p.qobj, p.hints);
+    } catch (err) {
+        process.nextTick(cb, err);
+        return;
+    }
+    var next = function() {
+        it.next(function(err, obj) {
+            var results;
+            try {
+                if (err) {
+                    throw err;
+                }
+                if (obj !== null && p.push(obj)) {
+                    next();
+                    return;
+                }
+                it.close();
+                results = p.end();
+            } catch (err) {
+                it.close();
+                cb(err);
+                return;
+            }
+            cb(null, results);
+        });
+    };
+    next();
+};
+
+
+
+///////////////////////////////////////////////////////////////////////////
+//                          Distinct field values                        //
+///////////////////////////////////////////////////////////////////////////
+
+/**
+ * Return sorted array of unique values of field `path` of objects matched by `qobj`.
+ * Array field values are flattened: every element is counted as a separate value,
+ * objects without the field are skipped.
+ *
+ * Only the field value is fetched from the matched objects. If the field
+ * has string or number index (see `EJDB#ensureStringIndex()`, `EJDB#ensureNumberIndex()`)
+ * objects are selected in order of the index so values are counted as they come
+ * and sorted in memory only if they turn out to be out of order (eg: array values),
+ * otherwise values are counted by full scan and sorted in memory.
+ *
+ * Call variations of distinct():
+ *       - distinct(cname, path, [cb])
+ *       - distinct(cname, path, qobj, [cb])
+ *
+ * If callback is not provided this function will be synchronous.
+ *
+ * @param {String} cname Name of collection
+ * @param {String} path Field path, eg: `address.city`
+ * @param {Object} [qobj] JSON query object
+ * @param {Function} [cb] Callback function with arguments: (error, values)
+ * @return {Array} of values in synchronous mode otherwise returns {undefined}.
+ */
+EJDB.prototype.distinct = function(cname, path, qobj, cb) {
+    if (typeof qobj === "function") {
+        cb = qobj;
+        qobj = null;
+    }
+    return fieldValues(this, cname, path, qobj, cb, function(vals) {
+        return vals.map(function(v) {
+            return v.value;
+        });
+    });
+};
+
+/**
+ * Return number of matched objects for every value of field `path`
+ * as array of `{value, count}` objects sorted by value.
+ * Values are selected the same way as by `EJDB#distinct()`.
+ *
+ * Call variations of countBy():
+ *       - countBy(cname, path, [cb])
+ *       - countBy(cname, path, qobj, [cb])
+ *
+ * If callback is not provided this function will be synchronous.
+ *
+ * @param {String} cname Name of collection
+ * @param {String} path Field path, eg: `address.city`
+ * @param {Object} [qobj] JSON query object
+ * @param {Function} [cb] Callback function with arguments: (error, counts)
+ * @return {Array} of `{value, count}` objects in synchronous mode otherwise returns {undefined}.
+ */
+EJDB.prototype.countBy = function(cname, path, qobj, cb) {
+    if (typeof qobj === "function") {
+        cb = qobj;
+        qobj = null;
+    }
+    return fieldValues(this, cname, path, qobj, cb, function(vals) {
+        return vals;
+    });
+};
+
+/**
+ * Collect values of field `path` into sorted array of `{value, count}` objects
+ * and pass it to `result` function.
+ * @private
+ */
+function fieldValues(db, cname, path, qobj, cb, result) {
+    if (typeof path !== "string" || path.length === 0) {
+        throw new Error("Field 'path' argument must be specified");
+    }
+    var hints = {"$fields" : {}};
+    hints["$fields"][path] = 1;
+    if (fieldIndex(db, cname, path, ["str", "num"])) {
+        hints["$orderby"] = {};
+        hints["$orderby"][path] = 1;
+    }
+    var collect = function(cursor) {
+        var counts = {};
+        var last = null; //the last added value
+        var sorted = true; //values are added in sort order
+        var add = function(v) {
+            if (last !== null && aggregate.compare(last.value, v) === 0) {
+                last.count++;
+                return;
+            }
+            var key = (v instanceof Date ? "date" : typeof v) + ":" + JSON.stringify(v);
+            if (counts.hasOwnProperty(key)) {
+                counts[key].count++;
+                sorted = false;
+            } else {
+                if (last !== null && aggregate.compare(last.value, v) > 0) {
+                    sorted = false;
+                }
+                counts[key] = {"value" : v, "count" : 1};
+            }
+            last = counts[key];
+        };
+        try {
+            while (cursor.next()) {
+                var v = cursor.field(path);
+                if (Array.isArray(v)) {
+                    v.forEach(add);
+                } else if (v !== undefined) {
+                    add(v);
+                }
+            }
+        } finally {
+            cursor.close();
+        }
+        var vals = Object.keys(counts).map(function(k) {
+            return counts[k];
+        });
+        if (!sorted) {
+            vals.sort(function(a, b) {
+                return aggregate.compare(a.value, b.value);
+            });
+        }
+        return result(vals);
+    };
+    if (!cb) {
+        return collect(db.find(cname, qobj || {}, hints));
+    }
+    db.find(cname, qobj || {}, hints, function(err, cursor) {
+        var ret;
+        try {
+            if (err) {
+                throw err;
+            }
+            ret = collect(cursor);
+        } catch (err) {
+            cb(err);
+            return;
+        }
+        cb(null, ret);
+    });
+}
+
+/**
+ * Return index description (see `EJDB#listIndexes()`) of field `path`
+ * with type (`str`, `istr`, `num` or `arr`) from `types` or {null}.
+ * @private
+ */
+function fieldIndex(db, cname, path, types) {
+    var indexes = listIndexes(db, cname);
+    for (var i = 0; i < indexes.length; ++i) {
+        if (indexes[i]["path"] === path && types.indexOf(indexes[i]["type"]) !== -1) {
+            return indexes[i];
+        }
+    }
+    return null;
+}
+
+
+
+///////////////////////////////////////////////////////////////////////////
+//                              Bulk writes                              //
+///////////////////////////////////////////////////////////////////////////
+
+/**
+ * Execute batch of write operations on collection `cname`.
+ * Every operation is executed separately so failed operation does not abort
+ * the whole batch unless `ordered` option is set.
+ *
+ * Operations:
+ *      - {"insert" : obj} Insert new object, fails if object with the same `_id` exists.
+ *      - {"replace" : obj} Replace object identified by `_id`,
+ *              object is inserted if it does not exist.
+ *      - {"merge" : obj} Merge fields of `obj` into object identified by `_id`,
+ *              object is inserted if it does not exist.
+ *      - {"updateMany" : {"query" : qobj, "update" : uobj, "hints" : hints}} Update query,
+ *              `uobj` contains update operations, eg: `{"$set" : {"age" : 3}}`.
+ *      - {"removeById" : oid} Remove object identified by `oid`.
+ *
+ * Bulk options (opts):
+ *  {
+ *      "ordered" : If true batch is stopped on the first failed operation. Default: true
+ *      "transaction" : If true batch is executed in collection transaction which is
+ *                      rolled back on the first failed operation, fails if transaction
+ *                      of the collection is already active. Default: false
+ *  }
+ *
+ * Objects stored before `insert`, `replace`, `merge` and `removeById` operations are loaded
+ * by single query for all operations up to the next `updateMany` operation.
+ * Asynchronous batch is executed as one operation of the collection write queue (see "Write queues").
+ *
+ * Result object:
+ *  {
+ *      "ok" : True if all operations succeeded
+ *      "insertedIds" : Array of OIDs of inserted objects
+ *      "insertedCount" : Number of inserted objects
+ *      "upsertedIds" : Array of OIDs of objects inserted by `replace` and `merge` operations
+ *      "upsertedCount" : Number of objects inserted by `replace` and `merge` operations
+ *      "matchedCount" : Number of existing objects matched by `replace`, `merge` and `updateMany` operations
+ *      "modifiedCount" : Number of objects modified by `replace`, `merge` and `updateMany` operations
+ *      "removedCount" : Number of objects removed by `removeById` operations
+ *      "results" : Array of results of executed operations:
+ *                  `{index, type, ok, _id, count, upserted, error}`
+ *      "errors" : Array of results of failed operations
+ *      "rolledBack" : True if transaction was rolled back
+ *  }
+ *
+ * NOTE: EJDB does not distinguish matched and modified objects of `updateMany`,
+ *       both counts are numbers of updated objects. Objects of `replace` and `merge`
+ *       are counted as modified only if their content is changed.
+ *
+ * If callback is not provided this function will be synchronous.
+ *
+ * @param {String} cname Name of collection
+ * @param {Array} ops Array of operations
+ * @param {Object} [opts] Bulk options
+ * @param {Function} [cb] Callback function with arguments: (error, result)
+ * @return {Object} result in synchronous mode otherwise returns {undefined}.
+ */
+EJDB.prototype.bulkWrite = function(cname, ops, opts, cb) {
+    if (typeof opts === "function") {
+        cb = opts;
+        opts = null;
+    }
+    if (typeof cname !== "string") {
+        throw new Error("Collection name 'cname' argument must be specified");
+    }
+    if (!Array.isArray(ops)) {
+        throw new Error("Bulk 'ops' argument must be an array of operations");
+    }
+    opts = opts || {};
+    var self = this;
+    return queuedWrite(this, cname, false, cb, function(cb) {
+        return bulkOperations(self, cname, ops, opts, cb);
+    });
+};
+
+/**
+ * Execute bulk operations `ops`, see `EJDB#bulkWrite()`.
+ * Asynchronous call is executed by the queue of collection (see `queuedWrite()`).
+ * @private
+ */
+function bulkOperations(db, cname, ops, opts, cb) {
+    var tx = !!opts["transaction"];
+    var stopOnError = (tx || opts["ordered"] !== false);
+    var res = {
+        "ok" : true,
+        "insertedIds" : [],
+        "insertedCount" : 0,
+        "upsertedIds" : [],
+        "upsertedCount" : 0,
+        "matchedCount" : 0,
+        "modifiedCount" : 0,
+        "removedCount" : 0,
+        "results" : [],
+        "errors" : []
+    };
+    var txActive = function() {
+        return new Error("Transaction is already active on collection: '" + cname + "'");
+    };
+    var stored = null; //stored objects of operations up to the next `updateMany`, see `bulkStored()`
+    var i, bop;
+    if (!cb) {
+        if (tx) {
+            if (db.getTransactionStatus(cname)) {
+                throw txActive();
+            }
+            db.beginTransaction(cname);
+        }
+        for (i = 0; i < ops.length && (res.ok || !stopOnError); ++i) {
+            try {
+                stored = stored || bulkStored(db, cname, ops, i);
+                bop = prepareBulkOp(db, cname, ops[i], stored);
+                bulkResult(res, i, bop, null, bulkCall(db, bop));
+                stored = bulkStoredAfter(stored, bop);
+            } catch (err) {
+                bulkResult(res, i, bop || {"type" : bulkOpType(ops[i])}, err);
+            }
+            bop = null;
+        }
+        if (tx) {
+            if (res.ok) {
+                db.commitTransaction(cname);
+            } else {
+                db.rollbackTransaction(cname);
+                res["rolledBack"] = true;
+            }
+        }
+        return res;
+    }
+    i = 0;
+    var end = function() {
+        if (!tx) {
+            cb(null, res);
+        } else if (res.ok) {
+            db.commitTransaction(cname, function(err) {
+                cb(err || null, res);
+            });
+        } else {
+            db.rollbackTransaction(cname, function(err) {
+                res["rolledBack"] = true;
+                cb(err || null, res);
+            });
+        }
+    };
+    var execute = function(idx) {
+        var bop;
+        try {
+            bop = prepareBulkOp(db, cname, ops[idx], stored);
+        } catch (err) {
+            bulkResult(res, idx, {"type" : bulkOpType(ops[idx])}, err);
+            process.nextTick(next);
+            return;
+        }
+        try {
+            bulkCall(db, bop, function(err, ret) {
+                if (!err) {
+                    stored = bulkStoredAfter(stored, bop);
+                }
+                bulkResult(res, idx, bop, err, ret);
+                next();
+            });
+        } catch (err) {
+            bulkResult(res, idx, bop, err);
+            process.nextTick(next);
+        }
+    };
+    var next = function() {
+        if (i >= ops.length || (!res.ok && stopOnError)) {
+            end();
+            return;
+        }
+        var idx = i++;
+        if (stored) {
+            execute(idx);
+            return;
+        }
+        bulkStored(db, cname, ops, idx, function(err, objs) {
+            if (err) {
+                bulkResult(res, idx, {"type" : bulkOpType(ops[idx])}, err);
+                next();
+                return;
+            }
+            stored = objs;
+            execute(idx);
+        });
+    };
+    lockQueue(db, cname);
+    if (!tx) {
+        next();
+        return;
+    }
+    db.getTransactionStatus(cname, function(err, active) {
+        if (err || active) {
+            cb(err || txActive());
+            return;
+        }
+        db.beginTransaction(cname, function(err) {
+            if (err) {
+                cb(err);
+                return;
+            }
+            next();
+        });
+    });
+}
+
+var BULK_OPERATIONS = ["insert", "replace", "merge", "updateMany", "removeById"];
+
+function bulkOpType(op) {
+    var names = (op != null && typeof op === "object") ? Object.keys(op) : [];
+    return (names.length === 1) ? names[0] : null;
+}
+
+/**
+ * `_id` of the object written by bulk operation `op` or {null}.
+ * @private
+ */
+function bulkOpId(op) {
+    var type = bulkOpType(op);
+    var arg = (type != null) ? op[type] : null;
+    if (type === "removeById") {
+        return arg;
+    }
+    return (type !== "updateMany" && arg != null && typeof arg === "object") ? arg["_id"] : null;
+}
+
+/**
+ * Load stored objects of bulk operations `ops` starting from `start` up to the next
+ * `updateMany` operation by single `$in` query: `_id` => object map.
+ * Objects not found in the map are not stored.
+ * If callback is not provided this function will be synchronous.
+ * @private
+ */
+function bulkStored(db, cname, ops, start, cb) {
+    var seen = {};
+    for (var i = start; i < ops.length && bulkOpType(ops[i]) !== "updateMany"; ++i) {
+        var id = bulkOpId(ops[i]);
+        if (typeof id === "string" && /^[0-9a-f]{24}$/.test(id)) {
+            seen[id] = true;
+        }
+    }
+    var ids = Object.keys(seen);
+    var map = {};
+    var add = function(objs) {
+        objs.forEach(function(obj) {
+            map[obj["_id"]] = obj;
+        });
+        return map;
+    };
+    if (ids.length === 0) {
+        return cb ? cb(null, map) : map;
+    }
+    if (!cb) {
+        return add(db.find(cname, {"_id" : {"$in" : ids}}).toArray());
+    }
+    db.find(cname, {"_id" : {"$in" : ids}}, function(err, cursor) {
+        if (err) {
+            cb(err);
+            return;
+        }
+        cb(null, add(cursor.toArray()));
+    });
+}
+
+/**
+ * Update `stored` objects map (see `bulkStored()`) by the executed bulk operation `bop`.
+ * Returns {null} if stored objects are to be loaded again.
+ * @private
+ */
+function bulkStoredAfter(stored, bop) {
+    switch (bop.type) {
+        case "insert":
+        case "replace":
+            stored[bop.obj["_id"]] = bop.obj;
+            break;
+        case "merge":
+            stored[bop.obj["_id"]] = bop.stored ? helpers.mergeObjects(bop.stored, bop.obj) : bop.obj;
+            break;
+        case "removeById":
+            delete stored[bop.oid];
+            break;
+        case "updateMany":
+            return null;
+    }
+    return stored;
+}
+
+/**
+ * Convert bulk operation into write function call: `{type, write, args}`,
+ * `write` is implementation of EJDB method called by `bulkCall()`.
+ * `stored` is the map of stored objects loaded by `bulkStored()`.
+ * @private
+ */
+function prepareBulkOp(db, cname, op, stored) {
+    var type = bulkOpType(op);
+    if (BULK_OPERATIONS.indexOf(type) === -1) {
+        throw new Error("Invalid bulk operation: " + JSON.stringify(op));
+    }
+    var arg = op[type];
+    var bop = {"type" : type};
+    var lookup = function(oid) {
+        return stored.hasOwnProperty(oid) ? stored[oid] : null;
+    };
+    switch (type) {
+        case "insert":
+        case "replace":
+        case "merge":
+            if (arg == null || typeof arg !== "object" || Array.isArray(arg)) {
+                throw new Error("Object must be specified for '" + type + "' operation");
+            }
+            if (type !== "insert" && arg["_id"] == null) {
+                throw new Error("Object '_id' must be specified for '" + type + "' operation");
+            }
+            if (type === "insert" && arg["_id"] != null && lookup(arg["_id"]) != null) {
+                throw new Error("Object with _id: '" + arg["_id"] + "' already exists");
+            }
+            if (type !== "insert") {
+                bop.stored = lookup(arg["_id"]);
+            }
+            bop.write = saveObjects;
+            bop.args = [cname, arg, (type === "merge") ? {"$merge" : true} : {}];
+            bop.obj = arg;
+            break;
+        case "updateMany":
+            if (arg == null || typeof arg !== "object" || arg["update"] == null) {
+                throw new Error("Query 'update' operations must be specified for 'updateMany' operation");
+            }
+            bop.write = updateObjects;
+            bop.args = [cname, helpers.mergeObjects(arg["query"] || {}, arg["update"]), [], arg["hints"] || {}];
+            break;
+        case "removeById":
+            bop.write = removeObject;
+            bop.args = [cname, arg];
+            bop.oid = arg;
+            bop.stored = lookup(arg);
+            break;
+    }
+    return bop;
+}
+
+/**
+ * Execute write of bulk operation `bop` within the queue of collection held by `bulkWrite()`.
+ * If `cb` is not provided this function will be synchronous.
+ * @private
+ */
+function bulkCall(db, bop, cb) {
+    return bop.write.apply(null, [db, true].concat(bop.args, [cb]));
+}
+
+/**
+ * Register result of bulk operation number `idx`.
+ * `ret` is the value returned (passed to callback) by the operation method.
+ * @private
+ */
+function bulkResult(res, idx, bop, err, ret) {
+    var r = {"index" : idx, "type" : bop.type, "ok" : !err};
+    if (err) {
+        r["error"] = err;
+        res.ok = false;
+        res.errors.push(r);
+        res.results.push(r);
+        return;
+    }
+    switch (bop.type) {
+        case "insert":
+            r["_id"] = bop.obj["_id"];
+            res.insertedIds.push(r["_id"]);
+            res.insertedCount++;
+            break;
+        case "replace":
+        case "merge":
+            r["_id"] = bop.obj["_id"];
+            if (bop.stored == null) {
+                r["count"] = 0;
+                r["upserted"] = true;
+                res.upsertedIds.push(r["_id"]);
+                res.upsertedCount++;
+                break;
+            }
+            r["count"] = 1;
+            res.matchedCount++;
+            if (bulkModifies(bop)) {
+                res.modifiedCount++;
+            }
+            break;
+        case "updateMany":
+            r["count"] = ret;
+            res.matchedCount += ret;
+            res.modifiedCount += ret;
+            break;
+        case "removeById":
+            r["_id"] = bop.oid;
+            r["count"] = (bop.stored != null) ? 1 : 0;
+            res.removedCount += r["count"];
+            break;
+    }
+    res.results.push(r);
+}
+
+/**
+ * Returns true if `replace` or `merge` bulk operation changed content of the stored object.
+ * @private
+ */
+function bulkModifies(bop) {
+    var stored = {}, current = {};
+    var obj = (bop.type === "merge") ? helpers.mergeObjects(bop.stored, bop.obj) : bop.obj;
+    Object.keys(bop.stored).forEach(function(k) {
+        if (k !== "_id") {
+            stored[k] = bop.stored[k];
+        }
+    });
+    Object.keys(obj).forEach(function(k) {
+        if (k !== "_id") {
+            current[k] = obj[k];
+        }
+    });
+    return objectChanged(stored, current);
+}
+
+
+
+///////////////////////////////////////////////////////////////////////////
+//                            Find and modify                            //
+///////////////////////////////////////////////////////////////////////////
+
+/**
+ * Atomically find the first object matched by `qobj` and update or remove it.
+ * Operation is executed in collection transaction, if transaction is already active
+ * for collection `cname` it is executed as part of this transaction.
+ *
+ * Asynchronous calls on the same collection are executed one after another
+ * so concurrent calls never select the same object (see "Write queues").
+ *
+ * Options (opts):
+ *  {
+ *      "sort" : Sort order to choose the first matched object, eg: `{"priority" : -1}`
+ *      "returnNew" : If true return object after update. Default: false
+ *      "upsert" : If true and there is no matched object create new object
+ *                 with equality fields of `qobj` and `$set`, `$inc` fields of `update`,
+ *                 field paths with `__proto__`, `constructor` or `prototype` segments are rejected.
+ *                 Default: false
+ *      "remove" : If true remove the found object, `update` argument is ignored. Default: false
+ *  }
+ *
+ * Sample:
+ *
+ *  var job = db.findAndModify("jobs", {"state" : "pending"},
+ *                             {"$set" : {"state" : "running"}},
+ *                             {"sort" : {"created" : 1}, "returnNew" : true});
+ *
+ * If callback is not provided this function will be synchronous.
+ *
+ * @param {String} cname Name of collection
+ * @param {Object} qobj JSON query object
+ * @param {Object} update Update operations, eg: `{"$set" : {...}, "$inc" : {...}}`
+ * @param {Object} [opts] Options
+ * @param {Function} [cb] Callback function with arguments: (error, obj)
+ * @return Object before (or after if `returnNew`) modification or {null} if no object matched
+ *         in synchronous mode otherwise returns {undefined}.
+ */
+EJDB.prototype.findAndModify = function(cname, qobj, update, opts, cb) {
+    if (typeof opts === "function") {
+        cb = opts;
+        opts = null;
+    }
+    if (typeof cname !== "string") {
+        throw new Error("Collection name 'cname' argument must be specified");
+    }
+    opts = opts || {};
+    qobj = qobj || {};
+    if (!opts["remove"] && (update == null || typeof update !== "object" || !isUpdateQuery(update))) {
+        throw new Error("Update operations 'update' argument must be specified");
+    }
+    var hints = opts["sort"] ? {"$orderby" : opts["sort"]} : {};
+    var self = this;
+    return queuedWrite(this, cname, false, cb, function(cb) {
+        return modifyObject(self, cname, qobj, update, hints, opts, cb);
+    });
+};
+
+/**
+ * Find the first object matched by `qobj` and update or remove it, see `EJDB#findAndModify()`.
+ * Asynchronous call is executed by the queue of collection (see `queuedWrite()`).
+ * @private
+ */
+function modifyObject(db, cname, qobj, update, hints, opts, cb) {
+    if (!cb) {
+        var active = db.getTransactionStatus(cname);
+        if (!active) {
+            db.beginTransaction(cname);
+        }
+        try {
+            var obj = db.findOne(cname, qobj, hints);
+            var ret = null;
+            if (obj === null) {
+                if (opts["upsert"] && !opts["remove"]) {
+                    ret = upsertObject(qobj, update);
+                    saveObjects(db, false, cname, ret);
+                    ret = opts["returnNew"] ? ret : null;
+                }
+            } else if (opts["remove"]) {
+                removeObject(db, false, cname, obj["_id"]);
+                ret = obj;
+            } else {
+                updateObjects(db, false, cname, helpers.mergeObjects(update, {"_id" : obj["_id"]}), [], {});
+                ret = opts["returnNew"] ? db.load(cname, obj["_id"]) : obj;
+            }
+            if (!active) {
+                db.commitTransaction(cname);
+            }
+            return ret;
+        } catch (err) {
+            if (!active && db.getTransactionStatus(cname)) {
+                db.rollbackTransaction(cname);
+            }
+            throw err;
+        }
+    }
+    var modify = function() {
+        return db.promises.findOne(cname, qobj, hints).then(function(obj) {
+            if (obj === null) {
+                if (!opts["upsert"] || opts["remove"]) {
+                    return null;
+                }
+                var nobj = upsertObject(qobj, update);
+                return helpers.callAsync(null, saveObjects, [db, true, cname, nobj, {}]).then(function() {
+                    return opts["returnNew"] ? nobj : null;
+                });
+            }
+            if (opts["remove"]) {
+                return helpers.callAsync(null, removeObject, [db, true, cname, obj["_id"]]).then(function() {
+                    return obj;
+                });
+            }
+            var uobj = helpers.mergeObjects(update, {"_id" : obj["_id"]});
+            return helpers.callAsync(null, updateObjects, [db, true, cname, uobj, [], {}]).then(function() {
+                return opts["returnNew"] ? db.promises.load(cname, obj["_id"]) : obj;
+            });
+        });
+    };
+    lockQueue(db, cname);
+    db.promises.getTransactionStatus(cname).then(function(active) {
+        if (active) {
+            return modify();
+        }
+        return db.promises.beginTransaction(cname).then(function() {
+            return modify().then(function(obj) {
+                return db.promises.commitTransaction(cname).then(function() {
+                    return obj;
+                });
+            }).catch(function(err) {
+                var fail = function() {
+                    throw err;
+                };
+                return rollbackIfActive(db, cname).then(fail, fail);
+            });
+        });
+    }).then(function(obj) {
+        cb(null, obj);
+    }, function(err) {
+        cb(helpers.toError(err));
+    });
+}
+
+/**
+ * New object created by upsert of `findAndModify()`:
+ * equality fields of `qobj` with `$set` and `$inc` fields of `update` applied.
+ * @private
+ */
+function upsertObject(qobj, update) {
+    var obj = {};
+    var k, v;
+    for (k in qobj) {
+        v = qobj[k];
+        if (k.charAt(0) === "$" || (v != null && typeof v === "object" && !Array.isArray(v) &&
+                                    !(v instanceof Date) && !(v instanceof RegExp) &&
+                                    Object.keys(v).some(function(op) {
+                                        return op.charAt(0) === "$";
+                                    })) || v instanceof RegExp) {
+            continue;
+        }
+        aggregate.setPath(obj, k, v);
+    }
+    for (k in update["$set"]) {
+        aggregate.setPath(obj, k, update["$set"][k]);
+    }
+    for (k in update["$inc"]) {
+        v = aggregate.getPath(obj, k);
+        aggregate.setPath(obj, k, (typeof v === "number" ? v : 0) + update["$inc"][k]);
+    }
+    return obj;
+}
+
+
+
+///////////////////////////////////////////////////////////////////////////
+//                              Pagination                               //
+///////////////////////////////////////////////////////////////////////////
+
+/**
+ * Default page size of `EJDB#paginate()`
+ */
+EJDB.DEFAULT_PAGE_SIZE = 20;
+
+/**
+ * Fetch page of objects matched by `qobj` sorted by `orderBy` fields.
+ * Pages are selected by keyset: values of `orderBy` fields (and `_id` as a tiebreaker)
+ * of the last object of the previous page are turned into range conditions, so
+ * page fetching does not get slower with page number and objects inserted between
+ * page loads do not cause duplicates.
+ *
+ * Page tokens are opaque strings signed with HMAC, tokens can be passed to clients
+ * and are rejected if modified or used with another collection, query or order.
+ *
+ * NOTE: Tokens are signed by `secret` option or, if it is not specified, by the random key
+ *       generated for this database instance. Tokens signed by the random key are rejected
+ *       after the database is reopened, by other processes and by other instances opened
+ *       on the same database file. Specify `secret` if tokens are stored or passed
+ *       to clients served by several processes.
+ *
+ * Options (opts):
+ *  {
+ *      "orderBy" : Sort order, eg: `{"created" : -1}`. Required.
+ *                  Sorted fields should present in all matched objects.
+ *      "pageSize" : Number of objects in page. Default: EJDB.DEFAULT_PAGE_SIZE
+ *      "after" : Page token: `nextToken` or `prevToken` of previously fetched page.
+ *                First page is fetched if not specified.
+ *      "secret" : Key used to sign page tokens. Default: random key of the database instance
+ *  }
+ *
+ * Result:
+ *  {
+ *      "items" : Array of page objects
+ *      "nextToken" : Token of the next page or {null} for the last page
+ *      "prevToken" : Token of the previous page or {null} for the first page
+ *  }
+ *
+ * If callback is not provided this function will be synchronous.
+ *
+ * @param {String} cname Name of collection
+ * @param {Object} qobj JSON query object
+ * @param {Object} opts Pagination options
+ * @param {Function} [cb] Callback function with arguments: (error, page)
+ * @return {Object} page in synchronous mode otherwise returns {undefined}.
+ */
+EJDB.prototype.paginate = function(cname, qobj, opts, cb) {
+    if (typeof cname !== "string") {
+        throw new Error("Collection name 'cname' argument must be specified");
+    }
+    var pq = new PageQuery(this, cname, qobj || {}, opts || {});
+    if (!cb) {
+        return pq.page(this.find(cname, pq.qobj, pq.orarr, pq.hints()));
+    }
+    this.find(cname, pq.qobj, pq.orarr, pq.hints(), function(err, cursor) {
+        var page;
+        try {
+            if (err) {
+                throw err;
+            }
+            page = pq.page(cursor);
+        } catch (err) {
+            cb(err);
+            return;
+        }
+        cb(null, page);
+    });
+};
+
+/**
+ * Query of the page requested by `EJDB#paginate()`.
+ * @private
+ */
+function PageQuery(db, cname, qobj, opts) {
+    var orderBy = opts["orderBy"];
+    if (orderBy == null || typeof orderBy !== "object" || Object.keys(orderBy).length === 0) {
+        throw new Error("Pagination 'orderBy' option must be specified");
+    }
+    this.fields = Object.keys(orderBy).filter(function(f) {
+        return f !== "_id";
+    });
+    this.dirs = this.fields.map(function(f) {
+        return (orderBy[f] < 0) ? -1 : 1;
+    });
+    this.idDir = (orderBy["_id"] < 0) ? -1 : 1;
+    this.pageSize = (opts["pageSize"] > 0) ? opts["pageSize"] : EJDB.DEFAULT_PAGE_SIZE;
+    if (opts["secret"] == null && !db._pageSecret) {
+        Object.defineProperty(db, "_pageSecret", {value : crypto.randomBytes(32)});
+    }
+    this.secret = (opts["secret"] != null) ? opts["secret"] : db._pageSecret;
+    //Tokens are bound to the collection, query and sort order
+    this.scope = JSON.stringify([cname, toTokenValue(qobj), orderBy]);
+    this.qobj = qobj;
+    this.orarr = [];
+    this.key = null; //[field values..., _id] of the last object of previous page
+    this.backward = false; //Page before the key is requested
+    if (opts["after"] != null) {
+        var token = this.parseToken(opts["after"]);
+        this.key = token["k"];
+        this.backward = (token["d"] === "b");
+    }
+    if (this.key) {
+        //Objects after the key: first differing field (or `_id` if all fields are equal) is in range
+        for (var i = 0; i <= this.fields.length; ++i) {
+            var q = {};
+            for (var j = 0; j < i; ++j) {
+                q[this.fields[j]] = this.key[j];
+            }
+            var f = (i < this.fields.length) ? this.fields[i] : "_id";
+            var dir = (i < this.fields.length) ? this.dirs[i] : this.idDir;
+            q[f] = {};
+            q[f][(dir > 0) !== this.backward ? "$gt" : "$lt"] = this.key[i];
+            this.orarr.push(q);
+        }
+    }
+}
+
+/**
+ * Query hints: sort order of the requested page and maximum number of objects.
+ */
+PageQuery.prototype.hints = function() {
+    var self = this;
+    var orderby = {};
+    this.fields.forEach(function(f, i) {
+        orderby[f] = self.backward ? -self.dirs[i] : self.dirs[i];
+    });
+    orderby["_id"] = this.backward ? -this.idDir : this.idDir;
+    return {"$orderby" : orderby, "$max" : this.pageSize + 1};
+};
+
+/**
+ * Read page from the query cursor.
+ */
+PageQuery.prototype.page = function(cursor) {
+    var items = [];
+    try {
+        while (items.length <= this.pageSize && cursor.next()) {
+            items.push(cursor.object());
+        }
+    } finally {
+        cursor.close();
+    }
+    var more = (items.length > this.pageSize);
+    if (more) {
+        items.pop();
+    }
+    if (this.backward) {
+        items.reverse();
+    }
+    var first = items.length ? items[0] : null;
+    var last = items.length ? items[items.length - 1] : null;
+    return {
+        "items" : items,
+        "nextToken" : (last && (this.backward || more)) ? this.token("a", last) : null,
+        "prevToken" : (first && (this.backward ? more : this.key != null)) ? this.token("b", first) : null
+    };
+};
+
+/**
+ * Signed page token: `base64url(payload).base64url(hmac)`
+ */
+PageQuery.prototype.token = function(dir, obj) {
+    var key = this.fields.map(function(f) {
+        return aggregate.getPath(obj, f);
+    });
+    key.push(String(obj["_id"]));
+    var payload = base64url(Buffer.from(JSON.stringify({"d" : dir, "k" : toTokenValue(key)}), "utf8"));
+    return payload + "." + this.sign(payload);
+};
+
+PageQuery.prototype.sign = function(payload) {
+    return base64url(crypto.createHmac("sha256", this.secret).update(this.scope + "\n" + payload).digest());
+};
+
+/**
+ * Check signature `sig` of token payload in constant time.
+ */
+PageQuery.prototype.verify = function(payload, sig) {
+    var expected = Buffer.from(this.sign(payload), "utf8");
+    sig = Buffer.from(sig, "utf8");
+    return (sig.length === expected.length && crypto.timingSafeEqual(sig, expected));
+};
+
+PageQuery.prototype.parseToken = function(token) {
+    var parts = (typeof token === "string") ? token.split(".") : [];
+    var ret = null;
+    if (parts.length === 2 && this.verify(parts[0], parts[1])) {
+        try {
+            ret = fromTokenValue(JSON.parse(Buffer.from(parts[0].replace(/-/g, "+").replace(/_/g, "/"), "base64").toString("utf8")));
+        } catch (ignored) {
+        }
+    }
+    if (!ret || (ret["d"] !== "a" && ret["d"] !== "b") || !Array.isArray(ret["k"]) ||
+        ret["k"].length !== this.fields.length + 1) {
+        throw new Error("Invalid pagination token");
+    }
+    return ret;
+};
+
+function base64url(buf) {
+    return buf.toString("base64").replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+/**
+ * JSON compatible value with dates converted to `{"$date" : ms}` objects.
+ */
+function toTokenValue(v) {
+    if (v instanceof Date) {
+        return {"$date" : v.getTime()};
+    }
+    if (Array.isArray(v)) {
+        return v.map(toTokenValue);
+    }
+    if (v != null && typeof v === "object" && !(v instanceof RegExp)) {
+        var ret = {};
+        for (var k in v) {
+            ret[k] = toTokenValue(v[k]);
+        }
+        return ret;
+    }
+    return v;
+}
+
+function fromTokenValue(v) {
+    if (Array.isArray(v)) {
+        return v.map(fromTokenValue);
+    }
+    if (v != null && typeof v === "object") {
+        var keys = Object.keys(v);
+        if (keys.length === 1 && keys[0] === "$date") {
+            return new Date(v["$date"]);
+        }
+        var ret = {};
+        for (var k in v) {
+            ret[k] = fromTokenValue(v[k]);
+        }
+        return ret;
+    }
+    return v;
+}
+
+
+
+///////////////////////////////////////////////////////////////////////////
+//                          Export and import                            //
+///////////////////////////////////////////////////////////////////////////
+
+/**
+ * Default maximum number of bad records allowed by `EJDB#importCollection()`
+ */
+EJDB.IMPORT_MAX_ERRORS = 100;
+
+/**
+ * Extended JSON encoding used by collection export and import:
+ * `EJDB.extjson.stringify(obj)`, `EJDB.extjson.parse(str)`
+ */
+EJDB.extjson = extjson;
+
+/**
+ * Export collection objects as JSON array or newline delimited JSON (NDJSON).
+ * Date, RegExp and Buffer values are written in extended JSON encoding
+ * (see `EJDB.extjson`) so they are restored by `EJDB#importCollection()` losslessly.
+ *
+ * Objects are fetched in batches by `EJDB#findIter()` and written with respect of stream backpressure,
+ * so collection modifications made during export may shift objects between batches.
+ * Stream given as `dest` is not ended by export, file stream is closed when export is finished.
+ *
+ * Options (opts):
+ *  {
+ *      "format" : Output format: `json` or `ndjson`. Default: `json`
+ *      "query" : Query object selecting exported objects. Default: all objects
+ *      "hints" : Query hints, eg: `{"$orderby" : {"name" : 1}}`
+ *      "batchSize" : Number of objects fetched at once. Default: EJDB.DEFAULT_BATCH_SIZE
+ *      "progress" : Function called with export stats after every batch
+ *  }
+ *
+ * Export stats: `{"exported" : Number}`
+ *
+ * @param {String} cname Name of collection
+ * @param {String|stream.Writable} dest Output file path or writable stream
+ * @param {Object} [opts] Export options
+ * @param {Function} cb Callback function with arguments: (error, stats)
+ */
+EJDB.prototype.exportCollection = function(cname, dest, opts, cb) {
+    if (typeof opts === "function") {
+        cb = opts;
+        opts = null;
+    }
+    opts = opts || {};
+    var format = opts["format"] || "json";
+    if (format !== "json" && format !== "ndjson") {
+        throw new Error("Unknown export format: " + format);
+    }
+    exportObjects(this, cname, dest, opts, {
+        head : function() {
+            return "";
+        },
+        item : function(obj, i) {
+            var text = extjson.stringify(obj);
+            if (format === "json") {
+                return (i ? ",\n" : "[\n") + text;
+            }
+            return text + "\n";
+        },
+        tail : function(count) {
+            return (format === "json") ? (count ? "\n]\n" : "[]\n") : "";
+        }
+    }, cb);
+};
+
+/**
+ * Write objects selected by `opts.query` into `dest` file or stream.
+ * Text of objects is produced by `writer`:
+ *  {
+ *      head : function() returns text written before objects
+ *      item : function(obj, index) returns text of object
+ *      tail : function(count) returns text written after objects
+ *  }
+ * @private
+ */
+function exportObjects(db, cname, dest, opts, writer, cb) {
+    if (typeof cname !== "string") {
+        throw new Error("Collection name 'cname' argument must be specified");
+    }
+    if (typeof cb !== "function") {
+        throw new Error("Callback 'cb' argument must be specified");
+    }
+    var batchSize = (opts["batchSize"] > 0) ? opts["batchSize"] : EJDB.DEFAULT_BATCH_SIZE;
+    var it = null;
+    var own = (typeof dest === "string");
+    var out = own ? fs.createWriteStream(dest) : dest;
+    var stats = {"exported" : 0};
+    var progress = function() {
+        if (typeof opts["progress"] === "function") {
+            opts["progress"](stats);
+        }
+    };
+    var done = false;
+    var finish = function(err) {
+        if (done) {
+            return;
+        }
+        done = true;
+        if (it) {
+            it.close();
+        }
+        out.removeListener("error", finish);
+        if (err) {
+            if (own) {
+                out.destroy();
+            }
+            cb(err);
+            return;
+        }
+        progress();
+        var tail = writer.tail(stats["exported"]);
+        if (!own) {
+            if (tail) {
+                out.write(tail);
+            }
+            cb(null, stats);
+            return;
+        }
+        out.once("error", cb);
+        out.end(tail, function() {
+            out.removeListener("error", cb);
+            cb(null, stats);
+        });
+    };
+    var next = function() {
+        it.next(function(err, obj) {
+            if (done) {
+                return;
+            }
+            if (err || obj === null) {
+                finish(err);
+                return;
+            }
+            var text;
+            try {
+                text = writer.item(obj, stats["exported"]);
+            } catch (err) {
+                finish(err);
+                return;
+            }
+            var flushed = out.write(text);
+            if (++stats["exported"] % batchSize === 0) {
+                progress();
+            }
+            if (!flushed) {
+                out.once("drain", next);
+                return;
+            }
+            next();
+        });
+    };
+    out.on("error", finish);
+    try {
+        it = exportIterator(db, cname, opts);
+    } catch (err) {
+        process.nextTick(finish, err);
+        return;
+    }
+    var head = writer.head();
+    if (head && !out.write(head)) {
+        out.once("drain", next);
+    } else {
+        next();
+    }
+}
+
+/**
+ * Iterator over objects selected by `query` and `hints` export options,
+ * objects are fetched in batches of `batchSize` option.
+ * @private
+ */
+function exportIterator(db, cname, opts) {
+    var hints = {};
+    for (var k in opts["hints"]) {
+        hints[k] = opts["hints"][k];
+    }
+    if (opts["batchSize"] > 0) {
+        hints["$batchSize"] = opts["batchSize"];
+    }
+    return db.findIter(cname, opts["query"] || {}, hints);
+}
+
+/**
+ * Execute query asynchronously, errors thrown by the native query
+ * are passed to callback: (error, cursor).
+ * @private
+ */
+function queryCursor(db, cname, qobj, hints, cb) {
+    try {
+        db.find(cname, qobj, hints, cb);
+    } catch (err) {
+        process.nextTick(cb, err);
+    }
+}
+
+/**
+ * Import objects into collection from JSON array or newline delimited JSON (NDJSON)
+ * written by `EJDB#exportCollection()`. Format is detected by the first character of input.
+ *
+ * Input is read as stream and objects are saved in batches.
+ * Records which are not valid JSON objects or can not be saved are skipped
+ * and reported in `errors` of import stats, import is aborted
+ * with error when the number of bad records exceeds `maxErrors`.
+ *
+ * Import modes:
+ *  - `insert` Save new objects, objects with `_id` already stored in collection are reported as bad records.
+ *  - `upsert` Merge objects into stored objects with the same `_id` (`$merge` save), save others as new.
+ *  - `replace` Replace stored objects with the same `_id`, save others as new.
+ *
+ * Options (opts):
+ *  {
+ *      "mode" : Import mode: `insert`, `upsert` or `replace`. Default: `insert`
+ *      "format" : Input format: `json` or `ndjson`. Detected if not specified.
+ *      "batchSize" : Number of objects saved at once. Default: EJDB.DEFAULT_BATCH_SIZE
+ *      "maxErrors" : Maximum number of bad records. Default: EJDB.IMPORT_MAX_ERRORS
+ *      "progress" : Function called with import stats after every batch
+ *  }
+ *
+ * Import stats:
+ *  {
+ *      "read" : Number of records read,
+ *      "imported" : Number of saved objects,
+ *      "errors" : Array of bad records: [{"line" : Number, "message" : String}]
+ *  }
+ *
+ * If import is aborted, callback error has `stats` property.
+ *
+ * @param {String} cname Name of collection
+ * @param {String|stream.Readable} source Input file path or readable stream
+ * @param {Object} [opts] Import options
+ * @param {Function} cb Callback function with arguments: (error, stats)
+ */
+EJDB.prototype.importCollection = function(cname, source, opts, cb) {
+    if (typeof opts === "function") {
+        cb = opts;
+        opts = null;
+    }
+    opts = opts || {};
+    var splitter = new extjson.RecordSplitter(opts["format"]);
+    var parse = function(rec) {
+        var obj;
+        try {
+            obj = extjson.parse(rec.text);
+        } catch (err) {
+            return {line : rec.line, error : err.message};
+        }
+        if (obj == null || typeof obj !== "object" || Array.isArray(obj)) {
+            return {line : rec.line, error : "Record is not an object"};
+        }
+        return {line : rec.line, obj : obj};
+    };
+    importObjects(this, cname, source, opts, {
+        push : function(chunk) {
+            return splitter.push(chunk).map(parse);
+        },
+        end : function() {
+            return splitter.end().map(parse);
+        }
+    }, cb);
+};
+
+/**
+ * Save objects read from `source` file or stream into collection.
+ * Objects are parsed from input text by `reader`:
+ *  {
+ *      push : function(chunk) returns array of records parsed from text chunk
+ *      end : function() returns array of remaining records
+ *  }
+ * Record is either `{line, obj}` or `{line, error}` for bad records,
+ * reader throws error if input can not be parsed further.
+ * @private
+ */
+function importObjects(db, cname, source, opts, reader, cb) {
+    if (typeof cname !== "string") {
+        throw new Error("Collection name 'cname' argument must be specified");
+    }
+    if (typeof cb !== "function") {
+        throw new Error("Callback 'cb' argument must be specified");
+    }
+    var mode = opts["mode"] || "insert";
+    if (["insert", "upsert", "replace"].indexOf(mode) === -1) {
+        throw new Error("Unknown import mode: " + mode);
+    }
+    var batchSize = (opts["batchSize"] > 0) ? opts["batchSize"] : EJDB.DEFAULT_BATCH_SIZE;
+    var maxErrors = (opts["maxErrors"] >= 0) ? opts["maxErrors"] : EJDB.IMPORT_MAX_ERRORS;
+    var own = (typeof source === "string");
+    var input = own ? fs.createReadStream(source) : source;
+    var stats = {"read" : 0, "imported" : 0, "errors" : []};
+    var batch = []; //[{line, obj}]
+    var busy = false; //records of the last chunk are being saved
+    var ended = false; //input ended while busy
+    var done = false;
+
+    var finish = function(err) {
+        if (done) {
+            return;
+        }
+        done = true;
+        input.removeListener("data", onData);
+        input.removeListener("end", onEnd);
+        input.removeListener("error", finish);
+        if (err) {
+            if (own) {
+                input.destroy();
+            }
+            err.stats = stats;
+            cb(err);
+            return;
+        }
+        cb(null, stats);
+    };
+
+    var bad = function(line, message) {
+        stats["errors"].push({"line" : line, "message" : message});
+        if (stats["errors"].length > maxErrors) {
+            throw new Error("Import aborted, too many bad records. Last at line " + line + ": " + message);
+        }
+    };
+
+    //Save batch objects one by one to find bad records
+    var saveEach = function(recs, cb) {
+        if (recs.length === 0) {
+            cb(null);
+            return;
+        }
+        var rec = recs.shift();
+        var saved = function(err) {
+            try {
+                if (err) {
+                    bad(rec.line, err.message);
+                } else {
+                    ++stats["imported"];
+                }
+            } catch (err) {
+                cb(err);
+                return;
+            }
+            saveEach(recs, cb);
+        };
+        try {
+            db.save(cname, rec.obj, (mode === "upsert") ? {"$merge" : true} : null, saved);
+        } catch (err) {
+            process.nextTick(saved, err);
+        }
+    };
+
+    var save = function(recs, cb) {
+        if (recs.length === 0) {
+            cb(null);
+            return;
+        }
+        var objs = recs.map(function(rec) {
+            return rec.obj;
+        });
+        var saved = function(err) {
+            if (err) {
+                saveEach(recs, cb);
+                return;
+            }
+            stats["imported"] += recs.length;
+            cb(null);
+        };
+        try {
+            db.save(cname, objs, (mode === "upsert") ? {"$merge" : true} : null, saved);
+        } catch (err) {
+            process.nextTick(saved, err);
+        }
+    };
+
+    var flush = function(cb) {
+        var recs = batch;
+        batch = [];
+        var ids = [];
+        if (mode === "insert") {
+            recs.forEach(function(rec) {
+                if (rec.obj["_id"] != null) {
+                    ids.push(rec.obj["_id"]);
+                }
+            });
+        }
+        var saved = function(err) {
+            if (err) {
+                cb(err);
+                return;
+            }
+            if (typeof opts["progress"] === "function") {
+                opts["progress"](stats);
+            }
+            cb(null);
+        };
+        if (ids.length === 0) {
+            save(recs, saved);
+            return;
+        }
+        queryCursor(db, cname, {"_id" : {"$in" : ids}}, {"$fields" : {"_id" : 1}}, function(err, cursor) {
+            var stored = {};
+            if (!err) {
+                try {
+                    while (cursor.next()) {
+                        stored[cursor.field("_id")] = true;
+                    }
+                } catch (cerr) {
+                    err = cerr;
+                } finally {
+                    cursor.close();
+                }
+            }
+            try {
+                recs = recs.filter(function(rec) {
+                    if (rec.obj["_id"] == null) {
+                        return true;
+                    }
+                    if (err) {
+                        //Stored objects can not be checked
+                        bad(rec.line, err.message);
+                        return false;
+                    }
+                    if (stored[rec.obj["_id"]]) {
+                        bad(rec.line, "Object with _id '" + rec.obj["_id"] + "' already exists");
+                        return false;
+                    }
+                    return true;
+                });
+            } catch (err) {
+                cb(err);
+                return;
+            }
+            save(recs, saved);
+        });
+    };
+
+    //Save records, full batches are saved at once
+    var parse = function(recs, cb) {
+        while (recs.length > 0) {
+            var rec = recs.shift();
+            ++stats["read"];
+            if (rec.error != null) {
+                try {
+                    bad(rec.line, rec.error);
+                } catch (err) {
+                    cb(err);
+                    return;
+                }
+                continue;
+            }
+            batch.push(rec);
+            if (batch.length >= batchSize) {
+                flush(function(err) {
+                    if (err) {
+                        cb(err);
+                        return;
+                    }
+                    parse(recs, cb);
+                });
+                return;
+            }
+        }
+        cb(null);
+    };
+
+    var onData = function(chunk) {
+        var recs;
+        try {
+            recs = reader.push(String(chunk));
+        } catch (err) {
+            finish(err);
+            return;
+        }
+        busy = true;
+        input.pause();
+        parse(recs, function(err) {
+            busy = false;
+            if (err) {
+                finish(err);
+            } else if (ended) {
+                onEnd();
+            } else {
+                input.resume();
+            }
+        });
+    };
+
+    var onEnd = function() {
+        var recs;
+        if (busy) {
+            //'end' is emitted by paused stream when the last chunk is read
+            ended = true;
+            return;
+        }
+        try {
+            recs = reader.end();
+        } catch (err) {
+            finish(err);
+            return;
+        }
+        parse(recs, function(err) {
+            if (err) {
+                finish(err);
+                return;
+            }
+            flush(finish);
+        });
+    };
+
+    if (typeof input.setEncoding === "function") {
+        input.setEncoding("utf8");
+    }
+    input.on("data", onData);
+    input.on("end", onEnd);
+    input.on("error", finish);
+}
+
+
+
+
+///////////////////////////////////////////////////////////////////////////
+//                         CSV export and import                         //
+///////////////////////////////////////////////////////////////////////////
+
+/**
+ * Export collection objects as CSV (RFC 4180) with header line of column names.
+ *
+ * Nested objects and arrays are flattened into columns named by dotted field paths,
+ * eg: `address.city`, `tags.0`. Dates are written as ISO strings and Buffers as base64.
+ * If `fields` option is not specified columns are all fields of exported objects
+ * (collected by additional pass over objects selected with the same query and hints).
+ *
+ * Stream given as `dest` is not ended by export, file stream is closed when export is finished.
+ *
+ * Options (opts):
+ *  {
+ *      "fields" : Array of exported field paths (columns)
+ *      "query" : Query object selecting exported objects. Default: all objects
+ *      "hints" : Query hints, eg: `{"$orderby" : {"name" : 1}}`
+ *      "delimiter" : Field delimiter. Default: `,`
+ *      "batchSize" : Number of objects fetched at once. Default: EJDB.DEFAULT_BATCH_SIZE
+ *      "progress" : Function called with export stats after every batch
+ *  }
+ *
+ * Export stats: `{"exported" : Number}`
+ *
+ * @param {String} cname Name of collection
+ * @param {String|stream.Writable} dest Output file path or writable stream
+ * @param {Object} [opts] Export options
+ * @param {Function} cb Callback function with arguments: (error, stats)
+ */
+EJDB.prototype.exportCSV = function(cname, dest, opts, cb) {
+    if (typeof opts === "function") {
+        cb = opts;
+        opts = null;
+    }
+    if (typeof cb !== "function") {
+        throw new Error("Callback 'cb' argument must be specified");
+    }
+    opts = opts || {};
+    var self = this;
+    var delimiter = opts["delimiter"] || ",";
+    if (Array.isArray(opts["fields"])) {
+        exportObjects(this, cname, dest, opts, csv.writer(opts["fields"], delimiter), cb);
+        return;
+    }
+    if (typeof cname !== "string") {
+        throw new Error("Collection name 'cname' argument must be specified");
+    }
+    //Collect fields of exported objects
+    var it;
+    try {
+        it = exportIterator(this, cname, opts);
+    } catch (err) {
+        process.nextTick(cb, err);
+        return;
+    }
+    csv.collectFields(it, function(err, fields) {
+        if (err) {
+            cb(err);
+            return;
+        }
+        exportObjects(self, cname, dest, opts, csv.writer(fields, delimiter), cb);
+    });
+};
+
+/**
+ * Import objects into collection from CSV (RFC 4180) with header line of column names.
+ *
+ * Column names are dotted field paths of imported objects, nested objects are rebuilt from them
+ * (arrays for numeric path segments, eg: `tags.0`). Empty cells are skipped.
+ * Values are imported as strings unless their types are specified by `types` option.
+ * Import is performed and reported in the same way as by `EJDB#importCollection()`,
+ * rows with values which can not be converted into column type are reported as bad records.
+ * Values of columns with `__proto__`, `constructor` or `prototype` path segments
+ * are reported as bad records too.
+ *
+ * Options (opts):
+ *  {
+ *      "types" : Types of field values: `{field path : "string" | "number" | "boolean" | "date"}`
+ *                Booleans are `true/false`, `yes/no` or `1/0`,
+ *                dates are ISO strings or milliseconds since epoch.
+ *      "headerMap" : Field paths of CSV columns: `{column name : field path}`,
+ *                    columns mapped to {null} are skipped.
+ *      "delimiter" : Field delimiter. Default: `,`
+ *      "mode" : Import mode: `insert`, `upsert` or `replace`. Default: `insert`
+ *      "batchSize" : Number of objects saved at once. Default: EJDB.DEFAULT_BATCH_SIZE
+ *      "maxErrors" : Maximum number of bad records. Default: EJDB.IMPORT_MAX_ERRORS
+ *      "progress" : Function called with import stats after every batch
+ *  }
+ *
+ * @param {String} cname Name of collection
+ * @param {String|stream.Readable} source Input file path or readable stream
+ * @param {Object} [opts] Import options
+ * @param {Function} cb Callback function with arguments: (error, stats)
+ */
+EJDB.prototype.importCSV = function(cname, source, opts, cb) {
+    if (typeof opts === "function") {
+        cb = opts;
+        opts = null;
+    }
+    opts = opts || {};
+    importObjects(this, cname, source, opts, csv.reader(opts), cb);
+};
+
+
+///////////////////////////////////////////////////////////////////////////
+//                           Backup and restore                          //
+///////////////////////////////////////////////////////////////////////////
+
+/**
+ * Name of the manifest file written into backup directory by `EJDB#backup()`
+ */
+EJDB.BACKUP_MANIFEST = "ejdb-backup.json";
+
+/**
+ * Interval in milliseconds of checks for active transactions by `EJDB#backup()`
+ */
+EJDB.BACKUP_TX_POLL_INTERVAL = 100;
+
+/**
+ * Default maximum time in milliseconds `EJDB#backup()` waits for active transactions
+ */
+EJDB.BACKUP_TX_TIMEOUT = 60000;
+
+backup.lockMethods(EJDB.prototype);
+
+/**
+ * Make online backup of the database: main database file, collection files and index files
+ * are copied into `targetDir` (created if not exists) along with the manifest file
+ * `EJDB.BACKUP_MANIFEST` holding sizes and SHA-256 checksums of copied files.
+ *
+ * Backup waits until there are no active collection transactions, then database is
+ * synchronized with disk and locked while files are copied:
+ * operations modifying database (see `LOCKED_METHODS` of backup.js) called with callback
+ * are deferred until backup is finished and blocking calls throw error.
+ * Operations started before backup are completed before files are copied.
+ * Database should not be modified by `find()` queries with update operations during backup.
+ * If transactions are still active after `txTimeout` backup fails with error
+ * and database is not locked.
+ *
+ * Options (opts):
+ *  {
+ *      "txTimeout" : Maximum time in milliseconds to wait for active transactions.
+ *                    Default: EJDB.BACKUP_TX_TIMEOUT
+ *  }
+ *
+ * Backup manifest:
+ *  {
+ *      "format" : "ejdb-backup",
+ *      "version" : 1,
+ *      "created" : ISO date string,
+ *      "db" : Name of the main database file,
+ *      "files" : [{"name" : File name, "size" : Number, "sha256" : Hex string}, ...]
+ *  }
+ *
+ * @param {String} targetDir Backup directory
+ * @param {Object} [opts] Backup options
+ * @param {Function} cb Callback function with arguments: (error, manifest)
+ */
+EJDB.prototype.backup = function(targetDir, opts, cb) {
+    if (typeof opts === "function") {
+        cb = opts;
+        opts = null;
+    }
+    opts = opts || {};
+    if (typeof targetDir !== "string") {
+        throw new Error("Backup directory 'targetDir' argument must be specified");
+    }
+    if (typeof cb !== "function") {
+        throw new Error("Callback 'cb' argument must be specified");
+    }
+    backup.backup(this, targetDir, {
+        "manifest" : EJDB.BACKUP_MANIFEST,
+        "txTimeout" : (opts["txTimeout"] >= 0) ? opts["txTimeout"] : EJDB.BACKUP_TX_TIMEOUT,
+        "pollInterval" : EJDB.BACKUP_TX_POLL_INTERVAL
+    }, cb);
+};
+
+/**
+ * Check backup made by `EJDB#backup()`: all files listed in the backup manifest
+ * should present in `backupDir` and have the same sizes and checksums.
+ *
+ * If check fails callback error has `problems` property:
+ * Array of `{"name" : File name, "message" : String}`
+ *
+ * @param {String} backupDir Backup directory
+ * @param {Function} cb Callback function with arguments: (error, manifest)
+ */
+EJDB.verifyBackup = function(backupDir, cb) {
+    if (typeof backupDir !== "string") {
+        throw new Error("Backup directory 'backupDir' argument must be specified");
+    }
+    if (typeof cb !== "function") {
+        throw new Error("Callback 'cb' argument must be specified");
+    }
+    backup.verify(backupDir, {"manifest" : EJDB.BACKUP_MANIFEST}, cb);
+};
+
+/**
+ * Restore database from backup made by `EJDB#backup()`.
+ * Backup is checked by `EJDB.verifyBackup()` first, backup files are copied into
+ * temporary directory along with `dbFile` and database files are replaced only
+ * when all backup files are copied and valid. Files of the existing database `dbFile`
+ * are moved aside while restored files are moved in and put back if it fails,
+ * so database should be closed.
+ *
+ * @param {String} backupDir Backup directory
+ * @param {String} dbFile Database main file name
+ * @param {Function} cb Callback function with arguments: (error, manifest)
+ */
+EJDB.restore = function(backupDir, dbFile, cb) {
+    if (typeof dbFile !== "string") {
+        throw new Error("Database file 'dbFile' argument must be specified");
+    }
+    if (typeof cb !== "function") {
+        throw new Error("Callback 'cb' argument must be specified");
+    }
+    backup.restore(backupDir, dbFile, {
+        "manifest" : EJDB.BACKUP_MANIFEST,
+        "open" : function(file, cb) {
+            EJDB.open(file, EJDB.JBOREADER, cb);
+        }
+    }, cb);
+};
+
+
+
+///////////////////////////////////////////////////////////////////////////
+//                           Index management                            //
+///////////////////////////////////////////////////////////////////////////
+
+/**
+ * Index types: index name prefix in `getDBMeta()` and methods managing indexes of type.
+ */
+var INDEX_TYPES = {
+    "str" : {prefix : "s", ensure : "ensureStringIndex", drop : "dropStringIndex"},
+    "istr" : {prefix : "i", ensure : "ensureIStringIndex", drop : "dropIStringIndex"},
+    "num" : {prefix : "n", ensure : "ensureNumberIndex", drop : "dropNumberIndex"},
+    "arr" : {prefix : "a", ensure : "ensureArrayIndex", drop : "dropArrayIndex"}
+};
+
+/**
+ * List indexes of collection `cname`.
+ * Returns array of index descriptions sorted by field path and type:
+ *
+ *  {
+ *      "path" : Indexed JSON field path
+ *      "type" : Index type: `str`, `istr` (case insensitive string), `num` or `arr`
+ *      "records" : Number of indexed records
+ *      "file" : Index file
+ *  }
+ *
+ * If callback is not provided this function will be synchronous.
+ *
+ * @param {String} cname Name of collection
+ * @param {Function} [cb] Callback function with arguments: (error, indexes)
+ * @return {Array} indexes in synchronous mode otherwise returns {undefined}.
+ */
+EJDB.prototype.listIndexes = function(cname, cb) {
+    var ret;
+    try {
+        if (typeof cname !== "string") {
+            throw new Error("Collection name 'cname' argument must be specified");
+        }
+        ret = listIndexes(this, cname);
+    } catch (err) {
+        if (!cb) {
+            throw err;
+        }
+        process.nextTick(cb, err);
+        return;
+    }
+    if (!cb) {
+        return ret;
+    }
+    process.nextTick(cb, null, ret);
+};
+
+function listIndexes(db, cname) {
+    var ret = [];
+    var types = {};
+    for (var t in INDEX_TYPES) {
+        types[INDEX_TYPES[t].prefix] = t;
+    }
+    (db.getDBMeta()["collections"] || []).forEach(function(c) {
+        if (c["name"] !== cname) {
+            return;
+        }
+        (c["indexes"] || []).forEach(function(idx) {
+            var type = types[String(idx["iname"]).charAt(0)];
+            if (type) {
+                ret.push({"path" : idx["field"], "type" : type, "records" : idx["records"], "file" : idx["file"]});
+            }
+        });
+    });
+    return ret.sort(function(a, b) {
+        return aggregate.compare([a["path"], a["type"]], [b["path"], b["type"]]);
+    });
+}
+
+/**
+ * Bring indexes of collection `cname` in line with declarative `spec`:
+ * indexes missing in collection are created, indexes not listed in `spec` are dropped.
+ * Number index of TTL date field (see `EJDB#setTTL()`) is kept even if it is not listed in `spec`.
+ *
+ * Spec maps JSON field paths to index types (`str`, `istr`, `num`, `arr`) or arrays of them,
+ * eg: `{"name" : ["str", "istr"], "age" : "num"}`
+ *
+ * Options (opts):
+ *  {
+ *      "dryRun" : If true the plan is printed and returned but not performed. Default: false
+ *      "drop" : If false indexes not listed in `spec` are kept. Default: true
+ *      "log" : Function printing plan steps in dry run mode. Default: no output
+ *  }
+ *
+ * Plan is array of steps: `{"op" : "create" | "drop", "path" : field path, "type" : index type}`
+ *
+ * If callback is not provided this function will be synchronous.
+ *
+ * @param {String} cname Name of collection
+ * @param {Object} spec Index specification
+ * @param {Object} [opts] Options
+ * @param {Function} [cb] Callback function with arguments: (error, plan)
+ * @return {Array} plan in synchronous mode otherwise returns {undefined}.
+ */
+EJDB.prototype.syncIndexes = function(cname, spec, opts, cb) {
+    if (typeof opts === "function") {
+        cb = opts;
+        opts = null;
+    }
+    opts = opts || {};
+    var self = this;
+    var plan;
+    try {
+        if (typeof cname !== "string") {
+            throw new Error("Collection name 'cname' argument must be specified");
+        }
+        var rule = this._ttl.rules[cname];
+        plan = indexPlan(spec, listIndexes(this, cname), opts["drop"] !== false,
+                         rule ? [{"path" : rule.field, "type" : "num"}] : []);
+        if (opts["dryRun"] && typeof opts["log"] === "function") {
+            var log = opts["log"];
+            plan.forEach(function(step) {
+                log(step["op"] + " " + step["type"] + " index on '" + cname + "." + step["path"] + "'");
+            });
+            if (plan.length === 0) {
+                log("Indexes of '" + cname + "' are up to date");
+            }
+        }
+    } catch (err) {
+        if (!cb) {
+            throw err;
+        }
+        process.nextTick(cb, err);
+        return;
+    }
+    if (opts["dryRun"]) {
+        if (!cb) {
+            return plan;
+        }
+        process.nextTick(cb, null, plan);
+        return;
+    }
+    var method = function(step) {
+        return INDEX_TYPES[step["type"]][step["op"] === "create" ? "ensure" : "drop"];
+    };
+    if (!cb) {
+        plan.forEach(function(step) {
+            self[method(step)](cname, step["path"]);
+        });
+        return plan;
+    }
+    var next = function(i) {
+        if (i >= plan.length) {
+            cb(null, plan);
+            return;
+        }
+        self[method(plan[i])](cname, plan[i]["path"], function(err) {
+            if (err) {
+                cb(err);
+                return;
+            }
+            next(i + 1);
+        });
+    };
+    next(0);
+};
+
+/**
+ * Steps to bring `existing` indexes in line with `spec`,
+ * `owned` indexes are not dropped.
+ * @private
+ */
+function indexPlan(spec, existing, drop, owned) {
+    if (spec == null || typeof spec !== "object" || Array.isArray(spec)) {
+        throw new Error("Index 'spec' argument must be an object");
+    }
+    var plan = [];
+    var wanted = {}; //path + type => true
+    Object.keys(spec).sort().forEach(function(path) {
+        var types = Array.isArray(spec[path]) ? spec[path] : [spec[path]];
+        types.forEach(function(type) {
+            if (!INDEX_TYPES.hasOwnProperty(type)) {
+                throw new Error("Unknown index type '" + type + "' of field '" + path + "'");
+            }
+            wanted[path + "\u0000" + type] = true;
+        });
+    });
+    var kept = {};
+    owned.forEach(function(idx) {
+        kept[idx["path"] + "\u0000" + idx["type"]] = true;
+    });
+    var found = {};
+    existing.forEach(function(idx) {
+        var key = idx["path"] + "\u0000" + idx["type"];
+        found[key] = true;
+        if (drop && !wanted[key] && !kept[key]) {
+            plan.push({"op" : "drop", "path" : idx["path"], "type" : idx["type"]});
+        }
+    });
+    Object.keys(wanted).forEach(function(key) {
+        if (!found[key]) {
+            var parts = key.split("\u0000");
+            plan.push({"op" : "create", "path" : parts[0], "type" : parts[1]});
+        }
+    });
+    return plan;
+}
+
+
+
+///////////////////////////////////////////////////////////////////////////
+//                              Migrations                               //
+///////////////////////////////////////////////////////////////////////////
+
+/**
+ * Reserved collection of applied migrations and the migration lock,
+ * it is created by `EJDB.migrate()` and can not be created by `EJDB#ensureCollection()`.
+ */
+EJDB.MIGRATIONS_COLLECTION = migrate.COLLECTION;
+
+/**
+ * Run database migrations from `migrationsDir`.
+ *
+ * Every `.js` file of `migrationsDir` is a migration module, migration ID is the file name
+ * without extension and migrations are applied in order of IDs (eg: `001-users.js`, `002-orders.js`).
+ * Migration module exports:
+ *
+ *  {
+ *      "up" : Function applying migration: (db, [cb])
+ *      "down" : Optional function reverting migration: (db, [cb])
+ *      "collections" : Optional array of names of collections modified by migration
+ *  }
+ *
+ * Migration functions get EJDB instance as argument and can either return a promise
+ * or accept callback as the second argument. Migration function and recording of its ID in
+ * `EJDB.MIGRATIONS_COLLECTION` are performed within transactions of `collections`
+ * (see `EJDB#transaction()`), so object changes of a failed migration are rolled back.
+ * Note that collection and index operations are not transactional.
+ *
+ * Concurrent runs are refused by lock object stored in `EJDB.MIGRATIONS_COLLECTION`.
+ * Lock of a crashed run on the same host is detected by process ID of the run and is replaced,
+ * lock of a run on another host can be removed by `force` option.
+ *
+ * Options (opts):
+ *  {
+ *      "command" : `up` (apply pending migrations), `down` (revert applied migrations)
+ *                  or `status`. Default: `up`
+ *      "target" : Migration ID: `up` applies migrations up to and including `target`,
+ *                 `down` reverts migrations applied after `target`.
+ *      "steps" : Number of migrations reverted by `down` if `target` is not specified. Default: 1
+ *      "force" : Remove lock of another run. Default: false
+ *  }
+ *
+ * Callback result:
+ *  - `up` Array of applied migration IDs
+ *  - `down` Array of reverted migration IDs
+ *  - `status` Array of `{"id" : Migration ID, "applied" : Date or {null}, "missing" : true if file not found}`
+ *
+ * @param {EJDB} db Database
+ * @param {String} migrationsDir Directory of migration modules
+ * @param {Object} [opts] Options
+ * @param {Function} cb Callback function with arguments: (error, result)
+ */
+EJDB.migrate = function(db, migrationsDir, opts, cb) {
+    if (typeof opts === "function") {
+        cb = opts;
+        opts = null;
+    }
+    if (typeof cb !== "function") {
+        throw new Error("Callback 'cb' argument must be specified");
+    }
+    opts = opts || {};
+    var command = opts["command"] || "up";
+    var err = null;
+    if (!(db instanceof EJDB)) {
+        err = new Error("Database 'db' argument must be specified");
+    } else if (typeof migrationsDir !== "string") {
+        err = new Error("Migrations directory 'migrationsDir' argument must be specified");
+    } else if (["up", "down", "status"].indexOf(command) === -1) {
+        err = new Error("Unknown migrate command: " + command);
+    }
+    if (err) {
+        process.nextTick(cb, err);
+        return;
+    }
+    migrate.migrate(db, migrationsDir, opts, cb);
+};
+
+
+///////////////////////////////////////////////////////////////////////////
+//                            TTL collections                            //
+///////////////////////////////////////////////////////////////////////////
+
+/**
+ * Interval in milliseconds between removals of expired objects of TTL collections.
+ * Changes take effect when sweeper is started by the first `EJDB#setTTL()` call.
+ */
+EJDB.TTL_SWEEP_INTERVAL = 60000;
+
+/**
+ * Make objects of collection `cname` expire `seconds` after the date stored in `fieldPath`.
+ * Number index is created on `fieldPath` and expired objects are removed by
+ * `$dropall` update query periodically (see `EJDB.TTL_SWEEP_INTERVAL`).
+ * Objects without date in `fieldPath` never expire.
+ *
+ * TTL settings are not stored in database, they are in effect while database is open.
+ * Sweeper timer does not keep the process running and it is stopped by `EJDB#close()`.
+ * Errors of periodic removals are emitted as `error` events if database has `error` listeners,
+ * otherwise they are emitted as process warnings (see `process.emitWarning()`).
+ * Collections with active transaction are skipped by periodic removal.
+ *
+ * Call `setTTL(cname, null)` to remove TTL of collection.
+ *
+ * If callback is not provided this function will be synchronous.
+ *
+ * @param {String} cname Name of collection
+ * @param {String} fieldPath Path of date field
+ * @param {Number} seconds Time to live in seconds
+ * @param {Function} [cb] Callback function with arguments: (error)
+ */
+EJDB.prototype.setTTL = function(cname, fieldPath, seconds, cb) {
+    var err = null;
+    if (typeof cname !== "string") {
+        err = new Error("Collection name 'cname' argument must be specified");
+    } else if (fieldPath != null && typeof fieldPath !== "string") {
+        err = new Error("Date field path 'fieldPath' argument must be specified");
+    } else if (fieldPath != null && (typeof seconds !== "number" || !(seconds > 0))) {
+        err = new Error("Time to live 'seconds' argument must be a positive number");
+    }
+    if (err) {
+        if (!cb) {
+            throw err;
+        }
+        process.nextTick(cb, err);
+        return;
+    }
+    ttl.setTTL(this, cname, fieldPath, seconds, EJDB.TTL_SWEEP_INTERVAL, cb);
+};
+
+/**
+ * Remove expired objects of TTL collection `cname` (see `EJDB#setTTL()`) immediately.
+ *
+ * If callback is not provided this function will be synchronous.
+ *
+ * @param {String} cname Name of collection
+ * @param {Function} [cb] Callback function with arguments: (error, count)
+ * @return {Number} count of removed objects in synchronous mode otherwise returns {undefined}.
+ */
+EJDB.prototype.expireNow = function(cname, cb) {
+    return ttl.expireNow(this, cname, cb);
+};
+
+
+///////////////////////////////////////////////////////////////////////////
+//                          Collection options                           //
+///////////////////////////////////////////////////////////////////////////
+
+/**
+ * Name of reserved collection used to store collection options
+ * which are not supported by native EJDB (see `EJDB#ensureCollection()`).
+ * Every collection with stored options has an object: `{collection: cname, <option>: <value>, ...}`
+ * The collection can not be created by `EJDB#ensureCollection()`.
+ */
+EJDB.OPTIONS_COLLECTION = options.COLLECTION;
+
+/**
+ * Returns true if `cname` is the name of reserved collection:
+ * `EJDB.OPTIONS_COLLECTION` or `EJDB.MIGRATIONS_COLLECTION`.
+ * @private
+ */
+function reservedCollection(cname) {
+    return (cname === EJDB.OPTIONS_COLLECTION || cname === EJDB.MIGRATIONS_COLLECTION);
+}
+
+/**
+ * Save objects into collection with stored options `copts` within collection transaction
+ * (or within the transaction already active): check versions and set dates of objects,
+ * then evict the oldest objects of capped collection.
+ * On success version and date fields of saved objects are updated.
+ * If callback is not provided this function will be synchronous.
+ * @private
+ */
+function saveWithOptions(db, cname, jsarr, opts, copts, cb) {
+    var merge = !!opts["$merge"];
+    var capped = copts["capped"];
+    var tracked = !!(copts["timestamps"] || copts["versioned"]);
+    var ids = (tracked || capped) ? jsarr.filter(function(obj) {
+        return (obj != null && obj["_id"] != null);
+    }).map(function(obj) {
+        return String(obj["_id"]);
+    }) : [];
+    //Running totals of capped collection are taken over by this save
+    var store = db._options;
+    var resets = store.resets[cname];
+    var totals = store.totals[cname];
+    delete store.totals[cname];
+    var keepTotals = function() {
+        if (capped && store.resets[cname] === resets) {
+            store.totals[cname] = totals;
+        }
+    };
+    var stored, prepared, active, oids;
+    if (!cb) {
+        active = db.getTransactionStatus(cname);
+        if (!active) {
+            db.beginTransaction(cname);
+        }
+        try {
+            stored = ids.length > 0 ? db.find(cname, {"_id" : {"$in" : ids}}).toArray() : [];
+            prepared = options.trackObjects(cname, jsarr, merge, copts, stored);
+            oids = db._impl.save(cname, prepared, opts);
+            if (capped) {
+                totals = options.cappedTotals(db, cname, capped, totals, stored, prepared, oids, merge, false);
+                var eids = options.cappedEvictions(db, cname, capped, totals, false);
+                if (eids.length > 0) {
+                    evictObjects(db, cname, eids, false);
+                }
+            }
+            if (!active) {
+                db.commitTransaction(cname);
+            }
+        } catch (err) {
+            if (!active && db.getTransactionStatus(cname)) {
+                db.rollbackTransaction(cname);
+            }
+            throw err;
+        }
+        keepTotals();
+        options.trackedFields(jsarr, prepared, copts);
+        return oids;
+    }
+    lockQueue(db, cname);
+    helpers.callAsync(db, db.getTransactionStatus, [cname]).then(function(status) {
+        active = status;
+        return active || helpers.callAsync(db, db.beginTransaction, [cname]);
+    }).then(function() {
+        return ids.length > 0 ? helpers.findObjects(db, [cname, {"_id" : {"$in" : ids}}], true) : [];
+    }).then(function(objs) {
+        stored = objs;
+        prepared = options.trackObjects(cname, jsarr, merge, copts, stored);
+        return helpers.callAsync(db._impl, db._impl.save, [cname, prepared, opts]);
+    }).then(function(ret) {
+        oids = ret;
+        if (!capped) {
+            return;
+        }
+        var counted = options.cappedTotals(db, cname, capped, totals, stored, prepared, oids, merge, true);
+        return helpers.maybeThen(counted, function(ret) {
+            totals = ret;
+            return options.cappedEvictions(db, cname, capped, totals, true);
+        }).then(function(eids) {
+            return eids.length > 0 && evictObjects(db, cname, eids, true);
+        });
+    }).then(function() {
+        return active || helpers.callAsync(db, db.commitTransaction, [cname]);
+    }).then(function() {
+        keepTotals();
+        options.trackedFields(jsarr, prepared, copts);
+        cb(null, oids);
+    }, function(err) {
+        var done = function() {
+            cb(err);
+        };
+        if (active !== false) {
+            done();
+            return;
+        }
+        helpers.callAsync(db, db.getTransactionStatus, [cname]).then(function(status) {
+            return status && helpers.callAsync(db, db.rollbackTransaction, [cname]);
+        }).then(done, done);
+    });
+}
+
+/**
+ * Remove evicted objects of capped collection by `$dropall` update query.
+ * Write hooks and validators are not applied, update event and changes are emitted.
+ * Returns number of removed objects or its promise in async mode.
+ * @private
+ */
+function evictObjects(db, cname, oids, async) {
+    var ctx = {"op" : "update", "cname" : cname, "qobj" : {"_id" : {"$in" : oids}, "$dropall" : true},
+        "orarr" : [], "hints" : {}};
+    var query = [ctx.qobj, ctx.hints];
+    if (!async) {
+        return watchChanges(db, ctx, null, function() {
+            ctx.count = syncQueryResult(db._impl.query(cname, query, ejdblib.JBQRYCOUNT));
+            afterWrite(db, ctx);
+            return ctx.count;
+        });
+    }
+    return new Promise(function(resolve, reject) {
+        var done = function(err, count) {
+            if (err) {
+                reject(helpers.toError(err));
+                return;
+            }
+            resolve(count);
+        };
+        watchChanges(db, ctx, done, function() {
+            db._impl.query(cname, query, ejdblib.JBQRYCOUNT, function(err, cursor, count) {
+                if (!err) {
+                    ctx.count = count;
+                    afterWrite(db, ctx);
+                }
+                done(err, count);
+            });
+        });
+    });
+}
+
+
+///////////////////////////////////////////////////////////////////////////
+//                        Query cursor extensions                        //
+///////////////////////////////////////////////////////////////////////////
+
+/**
+ * Iterator over the remaining cursor records.
+ * Cursor is closed when iteration is finished, failed or stopped by `return()`.
+ */
+function cursorIterator(cursor) {
+    var done = false;
+    var finish = function() {
+        done = true;
+        cursor.close();
+        return {value : undefined, done : true};
+    };
+    return {
+        next : function() {
+            if (done) {
+                return {value : undefined, done : true};
+            }
+            try {
+                if (cursor.next()) {
+                    return {value : cursor.object(), done : false};
+                }
+            } catch (err) {
+                finish();
+                throw err;
+            }
+            return finish();
+        },
+        "return" : finish
+    };
+}
+
+/**
+ * Readable object mode stream of cursor records.
+ * Cursor is closed on stream end, error or destroy.
+ * @private
+ */
+function CursorStream(cursor, opts) {
+    opts = opts || {};
+    stream.Readable.call(this, {
+        objectMode : true,
+        highWaterMark : opts.highWaterMark
+    });
+    this._it = cursorIterator(cursor);
+}
+util.inherits(CursorStream, stream.Readable);
+
+CursorStream.prototype._read = function() {
+    var r;
+    try {
+        do {
+            r = this._it.next();
+            if (r.done) {
+                this.push(null);
+                return;
+            }
+        } while (this.push(r.value));
+    } catch (err) {
+        this.destroy(err);
+    }
+};
+
+CursorStream.prototype._destroy = function(err, cb) {
+    this._it["return"]();
+    cb(err);
+};
+
+/**
+ * Sync iteration over cursor records: `for (var doc of cursor) {...}`
+ * Iteration starts from the current cursor position.
+ * Cursor is closed when iteration is completed or interrupted.
+ */
+EJDBCursor.prototype[Symbol.iterator] = function() {
+    return cursorIterator(this);
+};
+
+if (typeof Symbol.asyncIterator === "symbol") {
+    /**
+     * Async iteration over cursor records: `for await (const doc of cursor) {...}`
+     * Cursor is closed when iteration is completed or interrupted.
+     */
+    EJDBCursor.prototype[Symbol.asyncIterator] = function() {
+        var it = cursorIterator(this);
+        return {
+            next : function() {
+                try {
+                    return Promise.resolve(it.next());
+                } catch (err) {
+                    return Promise.reject(err);
+                }
+            },
+            "return" : function() {
+                return Promise.resolve(it["return"]());
+            }
+        };
+    };
+}
+
+/**
+ * Create object mode `stream.Readable` of cursor records.
+ * Stream respects backpressure and closes the cursor
+ * on stream end, error or destroy.
+ *
+ * @param {Object} [opts] Stream options:
+ *      - `highWaterMark` Max number of records buffered by stream. Default: 16
+ * @return {stream.Readable}
+ */
+EJDBCursor.prototype.stream = function(opts) {
+    return new CursorStream(this, opts);
+};
+
+
+/**
+ * Return array of all remaining records starting from the current cursor position.
+ * Records are converted in a single native call.
+ * Cursor is closed afterwards.
+ * @return {Array}
+ */
+EJDBCursor.prototype.toArray = function() {
+    try {
+        return this._toArray();
+    } finally {
+        this.close();
+    }
+};
+
+/**
+ * Return array of results of calling `fn` on every remaining cursor record.
+ * Cursor is closed afterwards.
+ * @param {Function} fn Function with arguments: (obj, index)
+ * @return {Array}
+ */
+EJDBCursor.prototype.map = function(fn) {
+    return this.toArray().map(function(obj, idx) {
+        return fn(obj, idx);
+    });
+};
+
+/**
+ * Call `fn` for every remaining cursor record.
+ * Cursor is closed afterwards, also in the case when `fn` throws.
+ * @param {Function} fn Function with arguments: (obj, index)
+ */
+EJDBCursor.prototype.forEach = function(fn) {
+    var it = cursorIterator(this);
+    try {
+        for (var i = 0, r = it.next(); !r.done; r = it.next()) {
+            fn(r.value, i++);
+        }
+    } finally {
+        it["return"]();
+    }
+};
+
+/**
+ * Return the first record of the cursor or {null} if cursor is empty.
+ * Cursor is closed afterwards.
+ * @return {Object}
+ */
+EJDBCursor.prototype.first = function() {
+    try {
+        this.reset();
+        return this.next() ? this.object() : null;
+    } finally {
+        this.close();
+    }
+};
+
+/**
+ * Return array of all remaining records like `toArray()`
+ * but cursor is not closed and its position is not changed.
+ * Used by JSON.stringify() so `JSON.stringify(cursor)` returns JSON array of records.
+ * @return {Array}
+ */
+EJDBCursor.prototype.toJSON = function() {
+    return this._toArray(true);
+};
+
+/**
+ * Return remaining records as newline delimited JSON string:
+ * one JSON document per line.
+ * Cursor is closed afterwards.
+ * @return {String}
+ */
+EJDBCursor.prototype.toNDJSON = function() {
+    var arr = this.toArray();
+    var ret = "";
+    for (var i = 0; i < arr.length; ++i) {
+        ret += JSON.stringify(arr[i]) + "\n";
+    }
+    return ret;
+};
+
+/**
+ * Default number of records fetched at once by `EJDB#findIter()`.
+ */
+EJDB.DEFAULT_BATCH_SIZE = 1000;
+
+/**
+ * Batched query iterator returned by `EJDB#findIter()`.
+ * @private
+ */
+function QueryIterator(db, cname, qobj, orarr, hints) {
+    this._db = db;
+    this._cname = cname;
+    this._qobj = qobj;
+    this._orarr = orarr;
+    this._hints = {};
+    for (var k in hints) {
+        if (hints.hasOwnProperty(k) && k !== "$batchSize") {
+            this._hints[k] = hints[k];
+        }
+    }
+    this._batchSize = (hints["$batchSize"] > 0) ? hints["$batchSize"] : EJDB.DEFAULT_BATCH_SIZE;
+    this._skip = (hints["$skip"] > 0) ? hints["$skip"] : 0;
+    this._max = (hints["$max"] >= 0) ? hints["$max"] : Infinity;
+    this._fetched = 0; //number of fetched records
+    this._cursor = null; //current batch
+    this._fetching = false;
+    this._done = false; //no more batches
+    this._closed = false;
+}
+
+QueryIterator.prototype._fetch = function(cb) {
+    var self = this;
+    var max = Math.min(self._batchSize, self._max - self._fetched);
+    if (max <= 0) {
+        self._done = true;
+        process.nextTick(cb, null);
+        return;
+    }
+    var hints = {};
+    for (var k in self._hints) {
+        hints[k] = self._hints[k];
+    }
+    hints["$skip"] = self._skip + self._fetched;
+    hints["$max"] = max;
+    self._fetching = true;
+    self._db.find(self._cname, self._qobj, self._orarr, hints, function(err, cursor) {
+        self._fetching = false;
+        if (err) {
+            cb(err);
+            return;
+        }
+        if (self._closed) {
+            cursor.close();
+            cb(null);
+            return;
+        }
+        self._fetched += cursor.length;
+        if (cursor.length < max) {
+            self._done = true;
+        }
+        self._cursor = cursor;
+        cb(null);
+    });
+};
+
+/**
+ * Fetch the next record.
+ * @param {Function} cb Callback function with arguments: (error, obj) where:
+ *          `obj`: Next record or {null} if no more records available.
+ */
+QueryIterator.prototype.next = function(cb) {
+    var self = this;
+    if (self._fetching) {
+        process.nextTick(cb, new Error("Concurrent QueryIterator#next() calls are not allowed"));
+        return;
+    }
+    if (self._closed) {
+        process.nextTick(cb, null, null);
+        return;
+    }
+    if (self._cursor) {
+        var obj = null;
+        try {
+            if (self._cursor.next()) {
+                obj = self._cursor.object();
+            }
+        } catch (err) {
+            self.close();
+            process.nextTick(cb, err);
+            return;
+        }
+        if (obj) {
+            process.nextTick(cb, null, obj);
+            return;
+        }
+        self._cursor.close();
+        self._cursor = null;
+    }
+    if (self._done) {
+        self.close();
+        process.nextTick(cb, null, null);
+        return;
+    }
+    self._fetch(function(err) {
+        if (err) {
+            self.close();
+            cb(err);
+            return;
+        }
+        self.next(cb);
+    });
+};
+
+/**
+ * Stop iteration and close the current batch cursor.
+ */
+QueryIterator.prototype.close = function() {
+    this._closed = true;
+    if (this._cursor) {
+        this._cursor.close();
+        this._cursor = null;
+    }
+};
+
+/**
+ * Create object mode `stream.Readable` of query records.
+ * Iterator is closed on stream end, error or destroy.
+ *
+ * @param {Object} [opts] Stream options:
+ *      - `highWaterMark` Max number of records buffered by stream. Default: 16
+ * @return {stream.Readable}
+ */
+QueryIterator.prototype.stream = function(opts) {
+    return new QueryStream(this, opts);
+};
+
+if (typeof Symbol.asyncIterator === "symbol") {
+    QueryIterator.prototype[Symbol.asyncIterator] = function() {
+        var self = this;
+        return {
+            next : function() {
+                return new Promise(function(resolve, reject) {
+                    self.next(function(err, obj) {
+                        if (err) {
+                            reject(err);
+                        } else if (obj === null) {
+                            resolve({value : undefined, done : true});
+                        } else {
+                            resolve({value : obj, done : false});
+                        }
+                    });
+                });
+            },
+            "return" : function() {
+                self.close();
+                return Promise.resolve({value : undefined, done : true});
+            }
+        };
+    };
+}
+
+/**
+ * Readable object mode stream of `QueryIterator` records.
+ * @private
+ */
+function QueryStream(it, opts) {
+    opts = opts || {};
+    stream.Readable.call(this, {
+        objectMode : true,
+        highWaterMark : opts.highWaterMark
+    });
+    this._it = it;
+}
+util.inherits(QueryStream, stream.Readable);
+
+QueryStream.prototype._read = function() {
+    var self = this;
+    self._it.next(function(err, obj) {
+        if (err) {
+            self.destroy(err);
+            return;
+        }
+        self.push(obj);
+    });
+};
+
+QueryStream.prototype._destroy = function(err, cb) {
+    this._it.close();
+    cb(err);
+};
+
+EJDB.QueryIterator = QueryIterator;
 
 module.exports = EJDB;
 
@@ -1906,6 +1906,35 @@ finish:
             info.GetReturnValue().Set(toV8Object(&it, BSON_OBJECT));
         }
 
+        static NAN_METHOD(s_to_array) {
+            Nan::EscapableHandleScope scope;
+            NodeEJDBCursor *c = Nan::ObjectWrap::Unwrap<NodeEJDBCursor > (info.This());
+            if (!c->m_rs) {
+                return Nan::ThrowError(Nan::Error("Cursor closed"));
+            }
+            bool keep = (info.Length() > 0 && info[0]->BooleanValue()); //keep cursor position
+            int rsz = TCLISTNUM(c->m_rs);
+            int pos = c->m_no_next ? 0 : c->m_pos + 1; //remaining records
+            Local<Array> ret = Nan::New<Array>(rsz > pos ? rsz - pos : 0);
+            for (uint32_t i = 0; pos < rsz; ++pos, ++i) {
+                Nan::HandleScope iscope;
+                const void *bsdata = TCLISTVALPTR(c->m_rs, pos);
+                assert(bsdata);
+                bson_iterator it;
+                bson_iterator_from_buffer(&it, (const char*) bsdata);
+                ret->Set(i, toV8Object(&it, BSON_OBJECT));
+            }
+            if (keep) {
+                info.GetReturnValue().Set(ret);
+                return;
+            }
+            if (rsz > 0) {
+                c->m_pos = rsz - 1;
+            }
+            c->m_no_next = false;
+            info.GetReturnValue().Set(ret);
+        }
+
         void close() {
             if (m_nejdb) {
                 m_nejdb->Unref();
@@ -1916,6 +1945,7 @@ finish:
                 m_rs = NULL;
             }
             Nan::AdjustExternalMemory(-m_mem + sizeof (NodeEJDBCursor));
+            m_mem = sizeof (NodeEJDBCursor); //cursor can be closed more than once
         }
 
         NodeEJDBCursor(NodeEJDB *_nejedb, TCLIST *_rs) : m_nejdb(_nejedb), m_rs(_rs), m_pos(0), m_no_next(true) {
@@ -1958,7 +1988,14 @@ finish:
             Nan::SetPrototypeMethod(t, "next", s_next);
             Nan::SetPrototypeMethod(t, "field", s_field);
             Nan::SetPrototypeMethod(t, "object", s_object);
-            
+            Nan::SetPrototypeMethod(t, "_toArray", s_to_array);
+
+            //Only prototype is exported to allow cursor prototype extensions in ejdb.js,
+            //cursors are created by queries and the constructor is kept internal
+            Local<Object> proto = Local<Object>::Cast(t->GetFunction()->Get(Nan::New<String>("prototype").ToLocalChecked()));
+            proto->Delete(Nan::New<String>("constructor").ToLocalChecked());
+            target->Set(Nan::New<String>("NodeEJDBCursorPrototype").ToLocalChecked(), proto);
+
             constructor_template.Reset(t);
         }
 
@@ -2013,6 +2050,13 @@ finish:
         }
         
         if (task->cb->IsEmpty()) {
+            if (cmdata->log) { //[cursor, count, log]
+                Local<Array> ret = Nan::New<Array>(3);
+                ret->Set(0, argv[1]);
+                ret->Set(1, argv[2]);
+                ret->Set(2, argv[3]);
+                return scope.Escape(ret);
+            }
             if (res) {
                 return scope.Escape(argv[1]); //cursor
             } else {
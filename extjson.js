@@ -0,0 +1,259 @@
+/**************************************************************************************************
+ *  NodeJS API for EJDB database library http://ejdb.org
+ *  Copyright (C) 2012-2015 Softmotions Ltd <info@softmotions.com>
+ *
+ *  This file is part of EJDB.
+ *  EJDB is free software; you can redistribute it and/or modify it under the terms of
+ *  the GNU Lesser General Public License as published by the Free Software Foundation; either
+ *  version 2.1 of the License or any later version.  EJDB is distributed in the hope
+ *  that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Lesser General Public
+ *  License for more details.
+ *  You should have received a copy of the GNU Lesser General Public License along with EJDB;
+ *  if not, write to the Free Software Foundation, Inc., 59 Temple Place, Suite 330,
+ *  Boston, MA 02111-1307 USA.
+ *************************************************************************************************/
+
+/**
+ * Extended JSON encoding of EJDB objects used by collection export and import.
+ *
+ * Values having no JSON representation are encoded as single key objects:
+ *
+ *  - Date: `{"$date" : "2015-01-01T00:00:00.000Z"}`
+ *  - RegExp: `{"$regex" : "^foo", "$options" : "i"}`
+ *  - Buffer: `{"$binary" : "<base64 data>"}`
+ *  - undefined: `{"$undefined" : true}`
+ *
+ * Encoded values can not be confused with stored objects
+ * since EJDB does not allow field names starting with `$`.
+ */
+
+/**
+ * Convert value into JSON compatible extended JSON value.
+ * @param {*} v
+ * @return {*}
+ */
+function encode(v) {
+    if (v === undefined) {
+        return {"$undefined" : true};
+    }
+    if (v === null || typeof v !== "object") {
+        return v;
+    }
+    if (v instanceof Date) {
+        return {"$date" : isNaN(v.getTime()) ? null : v.toISOString()};
+    }
+    if (v instanceof RegExp) {
+        return {"$regex" : v.source, "$options" : (v.ignoreCase ? "i" : "") + (v.global ? "g" : "") + (v.multiline ? "m" : "")};
+    }
+    if (Buffer.isBuffer(v)) {
+        return {"$binary" : v.toString("base64")};
+    }
+    if (Array.isArray(v)) {
+        return v.map(encode);
+    }
+    var ret = {};
+    for (var k in v) {
+        if (v.hasOwnProperty(k) && typeof v[k] !== "function") {
+            ret[k] = encode(v[k]);
+        }
+    }
+    return ret;
+}
+
+/**
+ * Convert extended JSON value back into EJDB value.
+ * @param {*} v
+ * @return {*}
+ */
+function decode(v) {
+    if (v === null || typeof v !== "object") {
+        return v;
+    }
+    if (Array.isArray(v)) {
+        return v.map(decode);
+    }
+    if (v.hasOwnProperty("$date")) {
+        return new Date(v["$date"] === null ? NaN : v["$date"]);
+    } else if (v.hasOwnProperty("$regex")) {
+        return new RegExp(v["$regex"], v["$options"] || "");
+    } else if (v.hasOwnProperty("$binary")) {
+        return Buffer.from(v["$binary"], "base64");
+    } else if (v.hasOwnProperty("$undefined")) {
+        return undefined;
+    }
+    var ret = {};
+    for (var k in v) {
+        if (v.hasOwnProperty(k)) {
+            ret[k] = decode(v[k]);
+        }
+    }
+    return ret;
+}
+
+/**
+ * Serialize value into extended JSON string.
+ * @param {*} v
+ * @param {String|Number} [space] Indentation as in `JSON.stringify()`
+ * @return {String}
+ */
+function stringify(v, space) {
+    return JSON.stringify(encode(v), null, space);
+}
+
+/**
+ * Parse extended JSON string.
+ * @param {String} str
+ * @return {*}
+ */
+function parse(str) {
+    return decode(JSON.parse(str));
+}
+
+/**
+ * Incremental splitter of JSON text into records.
+ * Accepts either a JSON array of objects or newline delimited JSON (NDJSON),
+ * the format is detected by the first non whitespace character.
+ *
+ * Usage: feed text chunks by `push()` and call `end()` after the last chunk,
+ * both return array of records: `{line : Number, text : String}` where
+ * `line` is 1-based line number where record starts.
+ *
+ * @param {String} [format] `json` or `ndjson`, detected if not specified
+ * @class
+ */
+function RecordSplitter(format) {
+    this.format = format || null;
+    this.line = 1; //current line number
+    this.start = 0; //line number of the current record
+    this.buf = ""; //text of the current record
+    this.opened = false; //opening bracket of JSON array is read
+    this.closed = false; //closing bracket of JSON array is read
+    this.depth = 0; //nesting level of the current position in JSON array element
+    this.inString = false;
+    this.escape = false;
+}
+
+RecordSplitter.prototype.push = function(chunk) {
+    var ret = [];
+    var i = 0;
+    if (this.format == null) {
+        for (; i < chunk.length && isSpace(chunk[i]); ++i) {
+            if (chunk[i] === "\n") {
+                ++this.line;
+            }
+        }
+        if (i === chunk.length) {
+            return ret;
+        }
+        this.format = (chunk[i] === "[") ? "json" : "ndjson";
+    }
+    if (this.format === "ndjson") {
+        var nl;
+        while ((nl = chunk.indexOf("\n", i)) !== -1) {
+            this.startLine();
+            this.append(chunk.substring(i, nl));
+            this.record(ret);
+            ++this.line;
+            i = nl + 1;
+        }
+        this.startLine();
+        this.append(chunk.substring(i));
+        return ret;
+    }
+    var from = i; //start of the current record text in chunk
+    for (; i < chunk.length; ++i) {
+        var c = chunk[i];
+        if (c === "\n") {
+            ++this.line;
+        }
+        if (this.inString) {
+            if (this.escape) {
+                this.escape = false;
+            } else if (c === "\\") {
+                this.escape = true;
+            } else if (c === "\"") {
+                this.inString = false;
+            }
+            continue;
+        }
+        if (!this.opened || this.closed) {
+            if (isSpace(c)) {
+                continue;
+            }
+            if (this.closed) {
+                throw new Error("Unexpected data after the end of JSON array at line " + this.line);
+            }
+            if (c !== "[") {
+                throw new Error("JSON array expected at line " + this.line);
+            }
+            this.opened = true;
+            from = i + 1;
+            continue;
+        }
+        if (this.buf.length === 0 && i === from) {
+            if (isSpace(c)) {
+                from = i + 1;
+                continue;
+            }
+            this.start = this.line;
+        }
+        if (c === "\"") {
+            this.inString = true;
+        } else if (c === "{" || c === "[") {
+            ++this.depth;
+        } else if ((c === "}" || c === "]") && this.depth > 0) {
+            --this.depth;
+        } else if ((c === "," || c === "]") && this.depth === 0) {
+            this.append(chunk.substring(from, i));
+            if (c === "]") {
+                this.closed = true;
+            } else if (this.buf.trim().length === 0) {
+                throw new Error("Unexpected ',' in JSON array at line " + this.line);
+            }
+            this.record(ret);
+            from = i + 1;
+        }
+    }
+    if (this.opened && !this.closed) {
+        this.append(chunk.substring(from));
+    }
+    return ret;
+};
+
+RecordSplitter.prototype.end = function() {
+    var ret = [];
+    if (this.format === "json" && !this.closed) {
+        throw new Error("Unexpected end of JSON array at line " + this.line);
+    }
+    this.record(ret);
+    return ret;
+};
+
+RecordSplitter.prototype.append = function(text) {
+    this.buf += (this.buf.length === 0) ? text.replace(/^\s+/, "") : text;
+};
+
+RecordSplitter.prototype.startLine = function() {
+    if (this.buf.length === 0) {
+        this.start = this.line;
+    }
+};
+
+RecordSplitter.prototype.record = function(ret) {
+    var text = this.buf.trim();
+    if (text.length > 0) {
+        ret.push({line : this.start, text : text});
+    }
+    this.buf = "";
+};
+
+function isSpace(c) {
+    return c === " " || c === "\n" || c === "\r" || c === "\t" || c === "\ufeff";
+}
+
+module.exports.encode = encode;
+module.exports.decode = decode;
+module.exports.stringify = stringify;
+module.exports.parse = parse;
+module.exports.RecordSplitter = RecordSplitter;
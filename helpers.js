@@ -0,0 +1,97 @@
+/**************************************************************************************************
+ *  NodeJS API for EJDB database library http://ejdb.org
+ *  Copyright (C) 2012-2015 Softmotions Ltd <info@softmotions.com>
+ *
+ *  This file is part of EJDB.
+ *  EJDB is free software; you can redistribute it and/or modify it under the terms of
+ *  the GNU Lesser General Public License as published by the Free Software Foundation; either
+ *  version 2.1 of the License or any later version.  EJDB is distributed in the hope
+ *  that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Lesser General Public
+ *  License for more details.
+ *  You should have received a copy of the GNU Lesser General Public License along with EJDB;
+ *  if not, write to the Free Software Foundation, Inc., 59 Temple Place, Suite 330,
+ *  Boston, MA 02111-1307 USA.
+ *************************************************************************************************/
+
+/**
+ * Private helpers shared by EJDB modules.
+ */
+
+/**
+ * Call promise returning `fn` for every item of `arr` sequentially.
+ * @return {Promise}
+ */
+function eachSeries(arr, fn) {
+    return arr.reduce(function(p, item) {
+        return p.then(function() {
+            return fn(item);
+        });
+    }, Promise.resolve());
+}
+
+/**
+ * Convert rejection reason `err` into Error.
+ * @param {*} err
+ * @return {Error}
+ */
+function toError(err) {
+    return (err instanceof Error) ? err : new Error(String(err));
+}
+
+/**
+ * Call `cb` style function `fn` of `target` with `args` and return promise of its first result.
+ */
+function callAsync(target, fn, args) {
+    return new Promise(function(resolve, reject) {
+        fn.apply(target, args.concat(function(err, ret) {
+            if (err) {
+                reject(toError(err));
+                return;
+            }
+            resolve(ret);
+        }));
+    });
+}
+
+/**
+ * Call `fn` with `value` or with the result of `value` promise.
+ */
+function maybeThen(value, fn) {
+    return (value instanceof Promise) ? value.then(fn) : fn(value);
+}
+
+/**
+ * Find objects by `find()` arguments `args`.
+ * Returns array of objects or its promise in async mode.
+ */
+function findObjects(db, args, async) {
+    if (!async) {
+        return db.find.apply(db, args).toArray();
+    }
+    return callAsync(db, db.find, args).then(function(cursor) {
+        return cursor.toArray();
+    });
+}
+
+/**
+ * Result of merging `obj` fields into the `stored` object.
+ */
+function mergeObjects(stored, obj) {
+    var ret = {};
+    var k;
+    for (k in stored) {
+        ret[k] = stored[k];
+    }
+    for (k in obj) {
+        ret[k] = obj[k];
+    }
+    return ret;
+}
+
+module.exports.eachSeries = eachSeries;
+module.exports.toError = toError;
+module.exports.callAsync = callAsync;
+module.exports.maybeThen = maybeThen;
+module.exports.findObjects = findObjects;
+module.exports.mergeObjects = mergeObjects;
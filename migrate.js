@@ -0,0 +1,270 @@
+/**************************************************************************************************
+ *  NodeJS API for EJDB database library http://ejdb.org
+ *  Copyright (C) 2012-2015 Softmotions Ltd <info@softmotions.com>
+ *
+ *  This file is part of EJDB.
+ *  EJDB is free software; you can redistribute it and/or modify it under the terms of
+ *  the GNU Lesser General Public License as published by the Free Software Foundation; either
+ *  version 2.1 of the License or any later version.  EJDB is distributed in the hope
+ *  that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Lesser General Public
+ *  License for more details.
+ *  You should have received a copy of the GNU Lesser General Public License along with EJDB;
+ *  if not, write to the Free Software Foundation, Inc., 59 Temple Place, Suite 330,
+ *  Boston, MA 02111-1307 USA.
+ *************************************************************************************************/
+
+/**
+ * Database migrations used by `EJDB.migrate()`.
+ *
+ * Applied migrations and the migration lock are stored in reserved collection
+ * `EJDB.MIGRATIONS_COLLECTION`.
+ */
+
+var path = require('path');
+var fs = require('fs');
+var os = require('os');
+var backup = require('./backup.js');
+var helpers = require('./helpers.js');
+var options = require('./options.js');
+
+/**
+ * Name of reserved collection of applied migrations, see `EJDB.MIGRATIONS_COLLECTION`.
+ */
+var COLLECTION = "_migrations";
+
+/**
+ * Create reserved collection `cname` bypassing check of reserved names,
+ * like `EJDB#ensureCollection()` the call respects backup lock.
+ */
+var ensureReserved = backup.lockedMethod(function(cname, cb) {
+    return this._impl.ensureCollection(cname, {}, cb);
+});
+
+/**
+ * Run migrations from `migrationsDir`, see `EJDB.migrate()`.
+ * Arguments are checked by caller.
+ * @param {EJDB} db Database
+ * @param {String} migrationsDir Directory of migration modules
+ * @param {Object} opts Options
+ * @param {Function} cb Callback function with arguments: (error, result)
+ */
+function migrate(db, migrationsDir, opts, cb) {
+    var command = opts["command"] || "up";
+    var migrations;
+    var lock = null;
+    new Promise(function(resolve) {
+        migrations = loadMigrations(migrationsDir);
+        resolve(helpers.callAsync(db, ensureReserved, [COLLECTION]));
+    }).then(function() {
+        if (command === "status") {
+            return migrationStatus(db, migrations).then(function(status) {
+                return status.map(function(s) {
+                    var ret = {"id" : s.id, "applied" : s.record ? s.record["applied"] : null};
+                    if (!s.migration) {
+                        ret["missing"] = true;
+                    }
+                    return ret;
+                });
+            });
+        }
+        return lockMigrations(db, opts["force"]).then(function(lobj) {
+            lock = lobj;
+            return migrationStatus(db, migrations);
+        }).then(function(status) {
+            return (command === "up") ? migrateUp(db, status, opts) : migrateDown(db, status, opts);
+        });
+    }).then(function(result) {
+        return unlockMigrations(db, lock).then(function() {
+            cb(null, result);
+        });
+    }, function(err) {
+        return unlockMigrations(db, lock).then(function() {
+            cb(helpers.toError(err));
+        }, function() {
+            cb(helpers.toError(err));
+        });
+    });
+}
+
+/**
+ * Load migration modules of `dir` sorted by ID.
+ */
+function loadMigrations(dir) {
+    return fs.readdirSync(dir).filter(function(name) {
+        return path.extname(name) === ".js";
+    }).sort().map(function(name) {
+        var m = require(path.resolve(dir, name));
+        var id = path.basename(name, ".js");
+        if (m == null || typeof m.up !== "function") {
+            throw new Error("Migration '" + id + "' does not export 'up' function");
+        }
+        return {id : id, module : m};
+    });
+}
+
+/**
+ * Status of migrations: known and applied ones sorted by ID,
+ * `record` is the stored object of applied migration.
+ */
+function migrationStatus(db, migrations) {
+    return db.promises.find(COLLECTION, {"migration" : {"$exists" : true}}).then(function(cursor) {
+        var applied = {};
+        cursor.toArray().forEach(function(obj) {
+            applied[obj["migration"]] = obj;
+        });
+        var ret = migrations.map(function(m) {
+            var obj = applied[m.id];
+            delete applied[m.id];
+            return {id : m.id, migration : m, record : obj || null};
+        });
+        for (var id in applied) {
+            ret.push({id : id, migration : null, record : applied[id]});
+        }
+        return ret.sort(function(a, b) {
+            return (a.id < b.id) ? -1 : (a.id > b.id ? 1 : 0);
+        });
+    });
+}
+
+function migrateUp(db, status, opts) {
+    var target = opts["target"];
+    if (target != null && !status.some(function(s) {
+            return s.id === target && s.migration;
+        })) {
+        return Promise.reject(new Error("Unknown migration: " + target));
+    }
+    var done = [];
+    return helpers.eachSeries(status.filter(function(s) {
+        return !s.record && (target == null || s.id <= target);
+    }), function(s) {
+        return runMigration(db, s.migration, "up", function(tx) {
+            return tx[COLLECTION].promises.save({"migration" : s.id, "applied" : new Date()});
+        }).then(function() {
+            done.push(s.id);
+        });
+    }).then(function() {
+        return done;
+    });
+}
+
+function migrateDown(db, status, opts) {
+    var target = opts["target"];
+    var applied = status.filter(function(s) {
+        return s.record;
+    }).reverse();
+    if (target != null) {
+        if (!status.some(function(s) {
+                return s.id === target;
+            })) {
+            return Promise.reject(new Error("Unknown migration: " + target));
+        }
+        applied = applied.filter(function(s) {
+            return s.id > target;
+        });
+    } else {
+        applied = applied.slice(0, (opts["steps"] > 0) ? opts["steps"] : 1);
+    }
+    var done = [];
+    return helpers.eachSeries(applied, function(s) {
+        if (!s.migration) {
+            throw new Error("Migration file of '" + s.id + "' is not found");
+        }
+        if (typeof s.migration.module.down !== "function") {
+            throw new Error("Migration '" + s.id + "' does not export 'down' function");
+        }
+        return runMigration(db, s.migration, "down", function(tx) {
+            return tx[COLLECTION].promises.remove(s.record["_id"]);
+        }).then(function() {
+            done.push(s.id);
+        });
+    }).then(function() {
+        return done;
+    });
+}
+
+/**
+ * Call migration function `fname` and `record` it within collection transactions.
+ */
+function runMigration(db, migration, fname, record) {
+    var fn = migration.module[fname];
+    var cnames = (migration.module.collections || []).concat([COLLECTION]);
+    return helpers.eachSeries(cnames, function(cname) {
+        return (cname === COLLECTION || cname === options.COLLECTION) ? helpers.callAsync(db, ensureReserved, [cname]) :
+               db.promises.ensureCollection(cname);
+    }).then(function() {
+        return db.transaction(cnames, function(tx) {
+            return new Promise(function(resolve, reject) {
+                if (fn.length >= 2) {
+                    fn.call(migration.module, db, function(err) {
+                        if (err) {
+                            reject(err);
+                        } else {
+                            resolve();
+                        }
+                    });
+                } else {
+                    resolve(fn.call(migration.module, db));
+                }
+            }).then(function() {
+                return record(tx);
+            });
+        });
+    }).catch(function(err) {
+        err = helpers.toError(err);
+        err.message = "Migration '" + migration.id + "' " + fname + " failed: " + err.message;
+        throw err;
+    });
+}
+
+/**
+ * Save migration lock object, fails if another live run holds the lock.
+ * @return {Promise} Promise resolved with the lock object.
+ */
+function lockMigrations(db, force) {
+    return db.transaction([COLLECTION], function(tx) {
+        var coll = tx[COLLECTION];
+        return coll.promises.findOne({"lock" : {"$exists" : true}}).then(function(obj) {
+            if (obj && !force && !staleLock(obj["lock"])) {
+                throw new Error("Migrations are locked by another run (pid " + obj["lock"]["pid"] + ")");
+            }
+            var lock = {"lock" : {"started" : new Date(), "pid" : process.pid, "host" : os.hostname()}};
+            if (obj) {
+                lock["_id"] = obj["_id"];
+            }
+            return coll.promises.save(lock).then(function() {
+                return lock;
+            });
+        });
+    });
+}
+
+/**
+ * Returns true if migration `lock` is held by a run on this host which is not alive:
+ * its process does not exist or it is this process restarted with the same ID.
+ */
+function staleLock(lock) {
+    if (lock == null || lock["host"] !== os.hostname() || typeof lock["pid"] !== "number") {
+        return false;
+    }
+    if (lock["pid"] === process.pid) {
+        var started = (lock["started"] instanceof Date) ? lock["started"].getTime() : NaN;
+        return started < Date.now() - process.uptime() * 1000;
+    }
+    try {
+        process.kill(lock["pid"], 0);
+    } catch (err) {
+        return err.code === "ESRCH";
+    }
+    return false;
+}
+
+function unlockMigrations(db, lock) {
+    if (!lock) {
+        return Promise.resolve();
+    }
+    return db.promises.remove(COLLECTION, lock["_id"]);
+}
+
+module.exports.COLLECTION = COLLECTION;
+module.exports.migrate = migrate;
@@ -0,0 +1,500 @@
+/**************************************************************************************************
+ *  NodeJS API for EJDB database library http://ejdb.org
+ *  Copyright (C) 2012-2015 Softmotions Ltd <info@softmotions.com>
+ *
+ *  This file is part of EJDB.
+ *  EJDB is free software; you can redistribute it and/or modify it under the terms of
+ *  the GNU Lesser General Public License as published by the Free Software Foundation; either
+ *  version 2.1 of the License or any later version.  EJDB is distributed in the hope
+ *  that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Lesser General Public
+ *  License for more details.
+ *  You should have received a copy of the GNU Lesser General Public License along with EJDB;
+ *  if not, write to the Free Software Foundation, Inc., 59 Temple Place, Suite 330,
+ *  Boston, MA 02111-1307 USA.
+ *************************************************************************************************/
+
+/**
+ * Collection options which are not supported by native EJDB: capped collections,
+ * timestamps and versions. Options are stored in `EJDB.OPTIONS_COLLECTION` and cached
+ * by database instance in `db._options`, see `EJDB#ensureCollection()`.
+ */
+
+var extjson = require('./extjson.js');
+var helpers = require('./helpers.js');
+
+/**
+ * Name of reserved collection of stored options, see `EJDB.OPTIONS_COLLECTION`.
+ */
+var COLLECTION = "_options";
+
+/**
+ * Collection options stored in `EJDB.OPTIONS_COLLECTION`.
+ */
+var STORED_OPTIONS = ["capped", "timestamps", "versioned"];
+
+/**
+ * Split collection options `copts` into native EJDB options
+ * and options stored in `EJDB.OPTIONS_COLLECTION`.
+ * @return {{native: Object, stored: Object|null}} `stored` is `null` if there are no options to store.
+ */
+function splitOptions(copts) {
+    var ret = {"native" : {}, "stored" : null};
+    Object.keys(copts).forEach(function(k) {
+        if (STORED_OPTIONS.indexOf(k) === -1) {
+            ret.native[k] = copts[k];
+        } else if (copts[k] != null) {
+            ret.stored = ret.stored || {};
+            ret.stored[k] = copts[k];
+        }
+    });
+    if (ret.stored) {
+        checkOptions(ret.stored);
+    }
+    return ret;
+}
+
+/**
+ * Check values of stored collection options.
+ */
+function checkOptions(opts) {
+    if (opts["capped"] != null) {
+        checkCapped(opts["capped"]);
+    }
+    if (opts["timestamps"] != null) {
+        checkTimestamps(opts["timestamps"]);
+    }
+    if (opts["versioned"] != null && typeof opts["versioned"] !== "boolean") {
+        throw new Error("Collection option 'versioned' must be a boolean");
+    }
+}
+
+/**
+ * Return stored options of collection `cname` or `null` if collection has no stored options.
+ * Options are loaded from `EJDB.OPTIONS_COLLECTION` once and cached until database is closed,
+ * async operations load them by `withOptions()` before.
+ */
+function collectionOptions(db, cname) {
+    if (!db._options.loaded) {
+        cacheOptions(db, db.find(COLLECTION, {}).toArray());
+    }
+    return db._options.items[cname] || null;
+}
+
+/**
+ * Cache options objects `objs` loaded from `EJDB.OPTIONS_COLLECTION`
+ * unless they are already loaded by another call.
+ */
+function cacheOptions(db, objs) {
+    var store = db._options;
+    if (store.loaded) {
+        return;
+    }
+    store.items = {};
+    objs.forEach(function(obj) {
+        store.items[obj["collection"]] = obj;
+    });
+    store.loaded = true;
+}
+
+/**
+ * Call `fn` when stored collection options are loaded (see `collectionOptions()`).
+ * If callback `cb` is provided options are loaded asynchronously, errors of loading
+ * and errors thrown by `fn` are passed to `cb`.
+ */
+function withOptions(db, cb, fn) {
+    if (!cb || db._options.loaded) {
+        return fn();
+    }
+    db.find(COLLECTION, {}, function(err, cursor) {
+        if (err) {
+            cb(err);
+            return;
+        }
+        try {
+            cacheOptions(db, cursor.toArray());
+            fn();
+        } catch (err) {
+            cb(err);
+        }
+    });
+}
+
+/**
+ * Store options `opts` of collection `cname` merged with its already stored options,
+ * options with `null` values are removed.
+ * Options objects are saved bypassing write hooks, validators and change streams.
+ * If callback is not provided this function will be synchronous.
+ */
+function storeOptions(db, cname, opts, cb) {
+    return withOptions(db, cb, function() {
+        var obj = helpers.mergeObjects(collectionOptions(db, cname) || {"collection" : cname}, opts);
+        Object.keys(opts).forEach(function(k) {
+            if (opts[k] == null) {
+                delete obj[k];
+            }
+        });
+        var store = function(oids) {
+            obj["_id"] = oids[0];
+            db._options.items[cname] = obj;
+            resetTotals(db, cname); //Running totals may lack total size of objects counted for the previous cap
+        };
+        if (!cb) {
+            store(db._impl.save(COLLECTION, [obj], {}));
+            return;
+        }
+        db._impl.save(COLLECTION, [obj], {}, function(err, oids) {
+            if (!err) {
+                store(oids);
+            }
+            cb(err);
+        });
+    });
+}
+
+/**
+ * Remove stored options of dropped collection `cname`.
+ */
+function dropOptions(db, cname, cb) {
+    if (cname === COLLECTION) {
+        db._options.loaded = false;
+        cb(null);
+        return;
+    }
+    withOptions(db, cb, function() {
+        var obj = collectionOptions(db, cname);
+        if (!obj) {
+            cb(null);
+            return;
+        }
+        db._impl.remove(COLLECTION, obj["_id"], function(err) {
+            if (!err) {
+                delete db._options.items[cname];
+            }
+            cb(err);
+        });
+    });
+}
+
+/**
+ * Reset running totals of capped collection `cname` changed by operation other than save.
+ * Totals are reset when operation is started and, if callback `cb` is provided,
+ * when it is completed. Returns wrapped callback.
+ */
+function resetTotals(db, cname, cb) {
+    var store = db._options;
+    var reset = function() {
+        delete store.totals[cname];
+        store.resets[cname] = (store.resets[cname] || 0) + 1;
+    };
+    reset();
+    if (typeof cb !== "function") {
+        return cb;
+    }
+    return function() {
+        reset();
+        cb.apply(this, arguments);
+    };
+}
+
+
+///////////////////////////////////////////////////////////////////////////
+//                           Capped collections                          //
+///////////////////////////////////////////////////////////////////////////
+
+/**
+ * Capped collection keeps only the newest objects, set by `capped` collection option
+ * of `EJDB#ensureCollection()`:
+ *
+ *  {
+ *      "max" : Max number of objects in collection.
+ *      "size" : Max total size of objects in bytes. Size of object is the length
+ *               of its extended JSON representation (see `EJDB.extjson`).
+ *               The newest object is kept even if it is larger than `size`.
+ *  }
+ *
+ * At least one of `max` or `size` must be specified.
+ * Objects are ordered by insertion time: the timestamp part of their OIDs.
+ * On every `EJDB#save()` into capped collection objects exceeding the cap are evicted
+ * within collection transaction of the save (or within the transaction already active).
+ *
+ * Number and total size of objects are kept by database instance as running totals
+ * updated by saves, only the oldest objects to be evicted are read on save.
+ * Totals are computed on the first save after the database is opened and after the collection
+ * is changed by other operations (remove, update queries and transaction rollback) or its options
+ * are changed: by count query if only `max` is set, otherwise by reading all objects.
+ *
+ * Example:
+ *
+ *  db.ensureCollection("events", {capped : {max : 1000, size : 1024 * 1024}});
+ *  db.getDBMeta().collections.filter(function(c) {
+ *      return c.name === "events";
+ *  })[0].options.capped; //{max : 1000, size : 1048576}
+ */
+
+/**
+ * Check `capped` collection option.
+ */
+function checkCapped(capped) {
+    if (typeof capped !== "object" || (capped["max"] == null && capped["size"] == null)) {
+        throw new Error("Capped collection option must specify 'max' or 'size'");
+    }
+    ["max", "size"].forEach(function(k) {
+        var v = capped[k];
+        if (v != null && (typeof v !== "number" || !(v > 0) || Math.floor(v) !== v)) {
+            throw new Error("Capped collection '" + k + "' must be a positive integer");
+        }
+    });
+}
+
+/**
+ * Size of object counted by `size` cap of capped collection.
+ */
+function objectSize(obj) {
+    return Buffer.byteLength(extjson.stringify(obj));
+}
+
+/**
+ * Running totals `{count, bytes}` of capped collection after save of `saved` objects
+ * (`stored` are the objects loaded before save). If `totals` before save are not known
+ * they are computed by count query if `capped` sets only `max`, otherwise by reading
+ * all objects of the collection. Total size is counted only if `capped` sets `size`.
+ * Returns totals or their promise in async mode.
+ */
+function cappedTotals(db, cname, capped, totals, stored, saved, oids, merge, async) {
+    var sized = (capped["size"] != null);
+    var count = function(cursor) {
+        var ret = {count : 0, bytes : 0};
+        try {
+            while (cursor.next()) {
+                ret.count++;
+                ret.bytes += objectSize(cursor.object());
+            }
+        } finally {
+            cursor.close();
+        }
+        return ret;
+    };
+    var counted = function(n) {
+        return {count : n, bytes : 0};
+    };
+    if (!totals && !sized) {
+        return async ? helpers.callAsync(db, db.count, [cname]).then(counted) : counted(db.count(cname));
+    }
+    if (!totals) {
+        return async ? helpers.callAsync(db, db.find, [cname, {}]).then(count) : count(db.find(cname, {}));
+    }
+    var sobjs = {};
+    stored.forEach(function(sobj) {
+        sobjs[sobj["_id"]] = sobj;
+    });
+    var ret = {count : totals.count, bytes : totals.bytes};
+    saved.forEach(function(obj, i) {
+        var sobj = sobjs.hasOwnProperty(oids[i]) ? sobjs[oids[i]] : null;
+        obj = helpers.mergeObjects(obj, {"_id" : oids[i]});
+        if (sobj) {
+            ret.bytes -= sized ? objectSize(sobj) : 0;
+            obj = merge ? helpers.mergeObjects(sobj, obj) : obj;
+            sobjs[oids[i]] = obj;
+        } else {
+            ret.count++;
+        }
+        ret.bytes += sized ? objectSize(obj) : 0;
+    });
+    return ret;
+}
+
+/**
+ * OIDs of the oldest objects of capped collection exceeding the cap.
+ * Objects are read from the oldest one by growing windows until the collection
+ * fits into the cap, `totals` are updated by evicted objects.
+ * Returns array of OIDs or its promise in async mode.
+ */
+function cappedEvictions(db, cname, capped, totals, async) {
+    var ids = [];
+    var over = function() {
+        return totals.count > 1 && ((capped["max"] != null && totals.count > capped["max"]) ||
+                                    (capped["size"] != null && totals.bytes > capped["size"]));
+    };
+    var next = function(skip, window) {
+        if (!over()) {
+            return ids;
+        }
+        var hints = {"$orderby" : {"_id" : 1}, "$skip" : skip, "$max" : window};
+        return helpers.maybeThen(helpers.findObjects(db, [cname, {}, hints], async), function(objs) {
+            for (var i = 0; i < objs.length && over(); ++i) {
+                ids.push(objs[i]["_id"]);
+                totals.count--;
+                totals.bytes -= (capped["size"] != null) ? objectSize(objs[i]) : 0;
+            }
+            return (objs.length < window) ? ids : next(skip + objs.length, window * 2);
+        });
+    };
+    var excess = (capped["max"] != null) ? totals.count - capped["max"] : 0;
+    return next(0, Math.max(excess, 1));
+}
+
+
+///////////////////////////////////////////////////////////////////////////
+//                        Timestamps and versions                        //
+///////////////////////////////////////////////////////////////////////////
+
+/**
+ * Collections with `timestamps` option (see `EJDB#ensureCollection()`, `EJDB#configureCollection()`)
+ * maintain dates of objects saved by `EJDB#save()`:
+ *
+ *  - `createdAt` is set when object is inserted (unless object already has it)
+ *    and preserved when object is saved again.
+ *  - `updatedAt` is set on every save.
+ *
+ * Field names can be changed by `{timestamps : {createdAt : "created", updatedAt : "modified"}}`.
+ *
+ * Collections with `versioned` option maintain `_v` version of objects: new objects get version 1,
+ * every save increments version of stored object. Saved object must have the same `_v` as
+ * the stored object (objects stored before the option was set have no `_v`), otherwise
+ * save fails with conflict error and nothing is saved. Conflict error has `conflict`
+ * property: `{cname, _id, stored, saved}`. In merge mode (`$merge`) version is checked only
+ * if saved object has `_v`.
+ *
+ * Version and dates of saved objects are updated when save succeeds.
+ * NOTE: Update queries do not maintain dates and versions.
+ *
+ * Example:
+ *
+ *  db.ensureCollection("parrots", {timestamps : true, versioned : true});
+ *  var parrot = {name : "Grenny"};
+ *  db.save("parrots", parrot); //parrot._v == 1
+ *  var copy = db.load("parrots", parrot._id);
+ *  db.save("parrots", parrot); //parrot._v == 2
+ *  db.save("parrots", copy); //throws Error: Version conflict ...
+ */
+
+/**
+ * Name of version field of objects in collections with `versioned` option.
+ */
+var VERSION_FIELD = "_v";
+
+/**
+ * Check `timestamps` collection option.
+ */
+function checkTimestamps(timestamps) {
+    if (typeof timestamps === "boolean") {
+        return;
+    }
+    if (typeof timestamps !== "object" || Object.keys(timestamps).some(function(k) {
+            var v = timestamps[k];
+            return ((k !== "createdAt" && k !== "updatedAt") ||
+                    typeof v !== "string" || v.length === 0 || /[$.]/.test(v));
+        })) {
+        throw new Error("Collection option 'timestamps' must be a boolean " +
+                        "or an object with 'createdAt' and 'updatedAt' field names");
+    }
+}
+
+/**
+ * Names of date fields set by `timestamps` collection option.
+ */
+function timestampFields(timestamps) {
+    return helpers.mergeObjects({"createdAt" : "createdAt", "updatedAt" : "updatedAt"},
+                                (typeof timestamps === "object") ? timestamps : null);
+}
+
+/**
+ * Version of object, `null` if object has no version.
+ */
+function objectVersion(obj) {
+    var v = obj[VERSION_FIELD];
+    return (v === undefined) ? null : v;
+}
+
+/**
+ * Return copies of objects `jsarr` to be saved into collection with `timestamps`
+ * and `versioned` options, throw conflict error if versions do not match.
+ * @param {Array} stored Stored objects with `_id` of saved objects.
+ */
+function trackObjects(cname, jsarr, merge, copts, stored) {
+    var ts = copts["timestamps"] ? timestampFields(copts["timestamps"]) : null;
+    var versioned = !!copts["versioned"];
+    if (!ts && !versioned) {
+        return jsarr;
+    }
+    var sobjs = {};
+    stored.forEach(function(sobj) {
+        sobjs[sobj["_id"]] = sobj;
+    });
+    var now = new Date();
+    return jsarr.map(function(obj) {
+        if (obj == null || typeof obj !== "object") {
+            return obj;
+        }
+        var sobj = (obj["_id"] != null && sobjs.hasOwnProperty(obj["_id"])) ? sobjs[obj["_id"]] : null;
+        var ret = helpers.mergeObjects(obj, null);
+        if (versioned) {
+            if (sobj && (!merge || obj[VERSION_FIELD] !== undefined) &&
+                objectVersion(sobj) !== objectVersion(obj)) {
+                var err = new Error("Version conflict on object '" + sobj["_id"] + "' in collection '" + cname +
+                                    "': stored " + VERSION_FIELD + " is " + objectVersion(sobj) +
+                                    ", saved " + VERSION_FIELD + " is " + objectVersion(obj));
+                err.conflict = {
+                    "cname" : cname,
+                    "_id" : sobj["_id"],
+                    "stored" : objectVersion(sobj),
+                    "saved" : objectVersion(obj)
+                };
+                throw err;
+            }
+            ret[VERSION_FIELD] = ((sobj && typeof sobj[VERSION_FIELD] === "number") ? sobj[VERSION_FIELD] : 0) + 1;
+        }
+        if (ts) {
+            if (!sobj) {
+                if (ret[ts["createdAt"]] == null) {
+                    ret[ts["createdAt"]] = now;
+                }
+            } else if (sobj[ts["createdAt"]] !== undefined) {
+                ret[ts["createdAt"]] = sobj[ts["createdAt"]];
+            }
+            ret[ts["updatedAt"]] = now;
+        }
+        return ret;
+    });
+}
+
+/**
+ * Copy version and date fields of successfully saved copies `prepared`
+ * made by `trackObjects()` into original objects `jsarr`.
+ */
+function trackedFields(jsarr, prepared, copts) {
+    var fields = [];
+    if (copts["versioned"]) {
+        fields.push(VERSION_FIELD);
+    }
+    if (copts["timestamps"]) {
+        var ts = timestampFields(copts["timestamps"]);
+        fields.push(ts["createdAt"], ts["updatedAt"]);
+    }
+    for (var i = 0; i < jsarr.length; ++i) {
+        var obj = jsarr[i];
+        if (obj == null || typeof obj !== "object" || obj === prepared[i]) {
+            continue;
+        }
+        for (var j = 0; j < fields.length; ++j) {
+            if (prepared[i][fields[j]] !== undefined) {
+                obj[fields[j]] = prepared[i][fields[j]];
+            }
+        }
+    }
+}
+
+module.exports.COLLECTION = COLLECTION;
+module.exports.STORED_OPTIONS = STORED_OPTIONS;
+module.exports.splitOptions = splitOptions;
+module.exports.checkOptions = checkOptions;
+module.exports.collectionOptions = collectionOptions;
+module.exports.withOptions = withOptions;
+module.exports.storeOptions = storeOptions;
+module.exports.dropOptions = dropOptions;
+module.exports.resetTotals = resetTotals;
+module.exports.cappedTotals = cappedTotals;
+module.exports.cappedEvictions = cappedEvictions;
+module.exports.trackObjects = trackObjects;
+module.exports.trackedFields = trackedFields;
@@ -0,0 +1,11 @@
+module.exports.collections = ["zookeepers"];
+
+module.exports.up = function(db) {
+    db.ensureStringIndex("zookeepers", "name");
+    return db.promises.save("zookeepers", [{"name" : "Ann"}, {"name" : "Bob"}]);
+};
+
+module.exports.down = function(db) {
+    db.dropStringIndex("zookeepers", "name");
+    return db.promises.update("zookeepers", {"$dropall" : true});
+};
@@ -0,0 +1,9 @@
+module.exports.collections = ["zookeepers"];
+
+module.exports.up = function(db, cb) {
+    db.update("zookeepers", {"$set" : {"staff" : true}}, cb);
+};
+
+module.exports.down = function(db, cb) {
+    db.update("zookeepers", {"$unset" : {"staff" : ""}}, cb);
+};
@@ -0,0 +1,9 @@
+module.exports.collections = ["zookeepers"];
+
+module.exports.up = function(db) {
+    return db.promises.update("zookeepers", {"$set" : {"audited" : true}}).then(function() {
+        if (db.count("zookeepers", {"strike" : true}) > 0) {
+            throw new Error("Keepers are on strike");
+        }
+    });
+};
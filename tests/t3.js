@@ -0,0 +1,475 @@
+var EJDB = require("../ejdb.js");
+
+var jb = null;
+
+module.exports.testSetup = function(test) {
+    EJDB.openAsync("var/tdbt3", EJDB.JBOWRITER | EJDB.JBOCREAT | EJDB.JBOTRUNC).then(function(db) {
+        jb = db;
+        test.ok(jb.isOpen());
+        test.done();
+    }, function(err) {
+        test.ifError(err);
+        test.done();
+    });
+};
+
+module.exports.testPromiseSaveLoad = function(test) {
+    var parrot = {
+        "name" : "Grenny",
+        "age" : 1
+    };
+    jb.promises.save("parrots", parrot).then(function(oids) {
+        test.equal(oids.length, 1);
+        test.equal(parrot["_id"], oids[0]);
+        return jb.promises.load("parrots", oids[0]);
+    }).then(function(obj) {
+        test.ok(obj);
+        test.equal(obj["name"], "Grenny");
+        return jb.promises.count("parrots", {"name" : "Grenny"});
+    }).then(function(count) {
+        test.equal(count, 1);
+        return jb.promises.update("parrots", {"name" : "Grenny", "$inc" : {"age" : 1}}, {"$explain" : true});
+    }).then(function(ret) {
+        test.equal(ret.count, 1);
+        test.ok(ret.log.indexOf("UPDATING MODE: YES") !== -1);
+        return jb.promises.find("parrots", {"age" : 2});
+    }).then(function(cursor) {
+        test.equal(cursor.length, 1);
+        cursor.close();
+        return jb.promises.findOne("parrots", {"name" : "Bounty"});
+    }).then(function(obj) {
+        test.ok(obj === null);
+        test.done();
+    }).catch(function(err) {
+        test.ifError(err);
+        test.done();
+    });
+};
+
+module.exports.testPromiseReject = function(test) {
+    jb.promises.load("parrots", "invalid oid").then(function() {
+        test.ok(false);
+        test.done();
+    }, function(err) {
+        test.ok(err instanceof Error);
+        test.done();
+    });
+};
+
+module.exports.testPromiseTx = function(test) {
+    jb.promises.beginTransaction("parrots").then(function() {
+        return jb.promises.getTransactionStatus("parrots");
+    }).then(function(active) {
+        test.ok(active === true);
+        return jb.promises.rollbackTransaction("parrots");
+    }).then(function() {
+        test.ok(jb.getTransactionStatus("parrots") === false);
+        test.done();
+    }).catch(function(err) {
+        test.ifError(err);
+        test.done();
+    });
+};
+
+module.exports.testCollection = function(test) {
+    var birds = jb.collection("birds", {"records" : 1000});
+    test.equal(birds.name, "birds");
+    test.ok(birds.meta);
+    test.equal(birds.meta["name"], "birds");
+    test.ok(jb.collection("unknown").meta === null);
+
+    var sally = {"name" : "Sally"};
+    birds.save(sally);
+    test.ok(sally["_id"]);
+    test.equal(birds.load(sally["_id"])["name"], "Sally");
+    test.equal(birds.count({"name" : "Sally"}), 1);
+    birds.find({}, {"$orderby" : {"name" : 1}}, function(err, cursor, count) {
+        test.ifError(err);
+        test.equal(count, 1);
+        birds.promises.findOne({"name" : "Sally"}).then(function(obj) {
+            test.equal(obj["_id"], sally["_id"]);
+            birds.remove(sally["_id"]);
+            test.equal(birds.count(), 0);
+            test.done();
+        });
+    });
+};
+
+module.exports.testCursorIterator = function(test) {
+    jb.save("birds", [{"name" : "Molly"}, {"name" : "Sally"}]);
+    var names = [];
+    var cursor = jb.find("birds", {}, {"$orderby" : {"name" : 1}});
+    for (var it = cursor[Symbol.iterator](), r = it.next(); !r.done; r = it.next()) {
+        names.push(r.value["name"]);
+    }
+    test.deepEqual(names, ["Molly", "Sally"]);
+    test.throws(function() { //cursor is closed
+        cursor.next();
+    });
+    //Native cursor constructor is not exposed
+    test.strictEqual(cursor.constructor, Object);
+    if (typeof Symbol.asyncIterator !== "symbol") {
+        test.done();
+        return;
+    }
+    cursor = jb.find("birds", {}, {"$orderby" : {"name" : 1}});
+    var ait = cursor[Symbol.asyncIterator]();
+    ait.next().then(function(r) {
+        test.equal(r.done, false);
+        test.equal(r.value["name"], "Molly");
+        return ait["return"]();
+    }).then(function(r) {
+        test.ok(r.done);
+        test.throws(function() {
+            cursor.next();
+        });
+        test.done();
+    });
+};
+
+module.exports.testCursorStream = function(test) {
+    var names = [];
+    var s = jb.find("birds", {}, {"$orderby" : {"name" : -1}}).stream({"highWaterMark" : 1});
+    s.on("data", function(obj) {
+        names.push(obj["name"]);
+    });
+    s.on("end", function() {
+        test.deepEqual(names, ["Sally", "Molly"]);
+        test.done();
+    });
+};
+
+module.exports.testFindIter = function(test) {
+    var nums = [];
+    for (var i = 0; i < 7; ++i) {
+        nums.push({"n" : i});
+    }
+    jb.save("nums", nums);
+    var batches = [];
+    var find = jb.find;
+    jb.find = function(cname, qobj, orarr, hints, cb) {
+        batches.push([hints["$skip"], hints["$max"]]);
+        return find.apply(this, arguments);
+    };
+    var it = jb.findIter("nums", {"n" : {"$gte" : 1}}, {"$orderby" : {"n" : 1}, "$batchSize" : 2, "$max" : 5});
+    var res = [];
+    var next = function() {
+        it.next(function(err, obj) {
+            test.ifError(err);
+            if (obj === null) {
+                delete jb.find;
+                test.deepEqual(res, [1, 2, 3, 4, 5]);
+                //Every batch is fetched by separate query
+                test.deepEqual(batches, [[0, 2], [2, 2], [4, 1]]);
+                test.done();
+                return;
+            }
+            res.push(obj["n"]);
+            next();
+        });
+    };
+    next();
+};
+
+module.exports.testFindIterStream = function(test) {
+    var res = [];
+    var s = jb.findIter("nums", {}, {"$orderby" : {"n" : -1}, "$batchSize" : 3}).stream();
+    s.on("data", function(obj) {
+        res.push(obj["n"]);
+    });
+    s.on("end", function() {
+        test.deepEqual(res, [6, 5, 4, 3, 2, 1, 0]);
+        test.done();
+    });
+};
+
+module.exports.testCursorHelpers = function(test) {
+    var q = {"n" : {"$lt" : 3}};
+    var hints = {"$orderby" : {"n" : 1}};
+    var cursor = jb.find("nums", q, hints);
+    test.ok(cursor.next());
+    test.deepEqual(cursor.toArray().map(function(obj) {
+        return obj["n"];
+    }), [1, 2]);
+    test.throws(function() {
+        cursor.next();
+    });
+    test.deepEqual(jb.find("nums", q, hints).map(function(obj, idx) {
+        return obj["n"] + idx;
+    }), [0, 2, 4]);
+    var res = [];
+    jb.find("nums", q, hints).forEach(function(obj) {
+        res.push(obj["n"]);
+    });
+    test.deepEqual(res, [0, 1, 2]);
+    test.equal(jb.find("nums", q, hints).first()["n"], 0);
+    test.ok(jb.find("nums", {"n" : 100}).first() === null);
+    cursor = jb.find("nums", q, hints);
+    test.equal(JSON.parse(JSON.stringify(cursor)).length, 3);
+    //JSON.stringify() keeps cursor open
+    test.ok(cursor.next());
+    test.equal(cursor.object()["n"], 0);
+    test.equal(JSON.parse(JSON.stringify(cursor)).length, 2);
+    test.ok(cursor.next());
+    test.equal(cursor.object()["n"], 1);
+    cursor.close();
+    var lines = jb.find("nums", q, hints).toNDJSON().split("\n");
+    test.equal(lines.length, 4);
+    test.equal(JSON.parse(lines[2])["n"], 2);
+    test.equal(lines[3], "");
+    test.done();
+};
+
+module.exports.testQueryBuilder = function(test) {
+    var q = jb.query("nums").where("n").gt(1).lt(6).or(function(q) {
+        q.where("n").eq(3);
+    }).or({"n" : 5}).orderBy("n", -1).fields(["n"]).skip(1).limit(2);
+    test.deepEqual(q.toJSON(), {
+        "qobj" : {"n" : {"$gt" : 1, "$lt" : 6}},
+        "orarr" : [{"n" : 3}, {"n" : 5}],
+        "hints" : {"$orderby" : {"n" : -1}, "$fields" : {"n" : 1}, "$skip" : 1, "$max" : 2}
+    });
+    test.deepEqual(q.find().map(function(obj) {
+        return obj["n"];
+    }), [3]);
+    test.equal(jb.query("nums").where("n").in([1, 2, 100]).count(), 2);
+    test.throws(function() {
+        jb.query("nums").gt(1);
+    });
+    jb.collection("nums").query().where({"n" : 0}).update({"$set" : {"zero" : true}}, function(err, count) {
+        test.ifError(err);
+        test.equal(count, 1);
+        test.ok(jb.query("nums").where("zero").exists().findOne()["zero"]);
+        test.done();
+    });
+};
+
+module.exports.testExplain = function(test) {
+    jb.ensureStringIndex("birds", "name");
+    var plan = jb.explain("birds", {"name" : "Molly"});
+    test.equal(plan.index, "sname");
+    test.equal(plan.indexType, "str");
+    test.equal(plan.indexField, "name");
+    test.ok(!plan.fullscan);
+    test.equal(plan.matched, 1);
+    test.ok(plan.time >= 0);
+    test.deepEqual(plan.query.qobj, {"name" : "Molly"});
+    test.equal(jb.find("birds", {"name" : "Molly"}, {"$explain" : true}).length, 1);
+    test.equal(jb.count("birds", {"name" : "Molly"}, {"$explain" : true}), 1);
+    test.throws(function() {
+        jb.explain("birds", {"name" : "Molly", "$set" : {"age" : 3}});
+    }, /not supported by explain/);
+    test.equal(jb.findOne("birds", {"name" : "Molly"})["age"], undefined);
+    jb.query("birds").where("age").gt(1).explain(function(err, plan) {
+        test.ifError(err);
+        test.ok(plan.index === null);
+        test.ok(plan.fullscan);
+        test.ok(!plan.updating);
+        test.equal(plan.matched, 0);
+        test.done();
+    });
+};
+
+module.exports.testParseExplainLog = function(test) {
+    var plan = EJDB.parseExplainLog([
+        "UPDATING MODE: NO", "MAX: 4294967295", "SKIP: 10", "COUNT ONLY: NO", "MAIN IDX: 'nage'",
+        "ORDER FIELDS: 1", "ACTIVE CONDITIONS: 1", "ROOT $OR QUERIES: 2", "ROOT $AND QUERIES: 0",
+        "FETCH ALL: NO", "MAIN IDX TCOP: 9", "RS COUNT: 15", "RS SIZE: 5", "FINAL SORTING: NO", ""
+    ].join("\n"));
+    test.equal(plan.index, "nage");
+    test.equal(plan.indexType, "num");
+    test.equal(plan.indexOp, "NUMGT");
+    test.ok(plan.max === null);
+    test.equal(plan.skip, 10);
+    test.equal(plan.orQueries, 2);
+    test.equal(plan.matched, 15);
+    test.equal(plan.returned, 5);
+    test.ok(!plan.fullscan && !plan.finalSorting && !plan.fetchAll);
+    test.done();
+};
+
+module.exports.testAggregate = function(test) {
+    jb.save("sales", [
+        {"item" : "seed", "qty" : 5, "price" : 2, "tags" : ["food", "bulk"]},
+        {"item" : "seed", "qty" : 1, "price" : 3, "tags" : ["food"]},
+        {"item" : "cage", "qty" : 1, "price" : 40, "tags" : []},
+        {"item" : "toy", "qty" : 3, "price" : 4}
+    ]);
+    var byItem = jb.aggregate("sales", [
+        {"$match" : {"qty" : {"$gt" : 0}}},
+        {"$group" : {
+            "_id" : "$item",
+            "total" : {"$sum" : "$qty"},
+            "avg" : {"$avg" : "$price"},
+            "min" : {"$min" : "$price"},
+            "prices" : {"$push" : "$price"}
+        }},
+        {"$sort" : {"total" : -1, "_id" : 1}},
+        {"$limit" : 2}
+    ]);
+    test.deepEqual(byItem, [
+        {"_id" : "seed", "total" : 6, "avg" : 2.5, "min" : 2, "prices" : [2, 3]},
+        {"_id" : "toy", "total" : 3, "avg" : 4, "min" : 4, "prices" : [4]}
+    ]);
+    test.deepEqual(jb.aggregate("sales", [
+        {"$unwind" : "$tags"},
+        {"$group" : {"_id" : null, "tags" : {"$addToSet" : "$tags"}}},
+        {"$project" : {"_id" : 0, "tags" : 1}}
+    ]), [{"tags" : ["food", "bulk"]}]);
+    test.throws(function() {
+        jb.aggregate("sales", [{"$out" : "other"}]);
+    });
+    test.throws(function() {
+        jb.aggregate("sales", [{"$project" : {"__proto__.polluted" : "$qty"}}]);
+    }, /Invalid field path/);
+    test.throws(function() {
+        jb.aggregate("sales", [{"$unwind" : "$constructor.prototype"}]);
+    }, /Invalid field path/);
+    jb.aggregate("sales", [
+        {"$sort" : {"price" : -1}},
+        {"$skip" : 1},
+        {"$match" : {"item" : {"$in" : ["seed", "toy"]}}},
+        {"$count" : "n"}
+    ], function(err, res) {
+        test.ifError(err);
+        test.deepEqual(res, [{"n" : 3}]);
+        jb.promises.aggregate("sales", [
+            {"$project" : {"item" : 1, "cost" : {"qty" : "$qty", "price" : "$price"}}},
+            {"$match" : {"cost.qty" : {"$gte" : 3}}},
+            {"$limit" : 1}
+        ]).then(function(res) {
+            test.equal(res.length, 1);
+            test.deepEqual(res[0]["cost"], {"qty" : 5, "price" : 2});
+            test.ok(res[0]["_id"]);
+            test.done();
+        });
+    });
+};
+
+module.exports.testDistinct = function(test) {
+    test.deepEqual(jb.distinct("sales", "item"), ["cage", "seed", "toy"]);
+    test.deepEqual(jb.distinct("sales", "tags", {"qty" : {"$gt" : 1}}), ["bulk", "food"]);
+    test.deepEqual(jb.countBy("sales", "tags"), [{"value" : "bulk", "count" : 1}, {"value" : "food", "count" : 2}]);
+    jb.ensureNumberIndex("sales", "qty");
+    var queries = [];
+    var find = jb.find;
+    jb.find = function(cname, qobj, hints) {
+        queries.push([cname, qobj, hints]);
+        return find.apply(this, arguments);
+    };
+    jb.collection("sales").countBy("qty", function(err, counts) {
+        delete jb.find;
+        test.ifError(err);
+        test.deepEqual(counts, [{"value" : 1, "count" : 2}, {"value" : 3, "count" : 1}, {"value" : 5, "count" : 1}]);
+        //Objects are selected by the field index
+        test.equal(queries.length, 1);
+        var plan = jb.explain.apply(jb, queries[0]);
+        test.equal(plan.index, "nqty");
+        test.ok(!plan.fullscan);
+        test.done();
+    });
+};
+
+module.exports.testPaginate = function(test) {
+    var scores = [5, 3, 5, 1, 5, 2, 4];
+    var oids = jb.save("scores", scores.map(function(s, i) {
+        return {"n" : i, "score" : s};
+    }));
+    test.equal(oids.length, scores.length);
+    var opts = {"orderBy" : {"score" : -1}, "pageSize" : 3};
+    var p1 = jb.paginate("scores", {}, opts);
+    test.deepEqual(p1.items.map(function(o) {
+        return o.score;
+    }), [5, 5, 5]);
+    test.ok(p1.nextToken);
+    test.equal(p1.prevToken, null);
+    //Inserted object must not shift next page
+    jb.save("scores", {"n" : 7, "score" : 6});
+    var p2 = jb.paginate("scores", {}, {"orderBy" : {"score" : -1}, "pageSize" : 3, "after" : p1.nextToken});
+    test.deepEqual(p2.items.map(function(o) {
+        return o.score;
+    }), [4, 3, 2]);
+    var p3 = jb.paginate("scores", {}, {"orderBy" : {"score" : -1}, "pageSize" : 3, "after" : p2.nextToken});
+    test.deepEqual(p3.items.map(function(o) {
+        return o.score;
+    }), [1]);
+    test.equal(p3.nextToken, null);
+    var back = jb.paginate("scores", {}, {"orderBy" : {"score" : -1}, "pageSize" : 3, "after" : p2.prevToken});
+    var ids = function(page) {
+        return page.items.map(function(o) {
+            return o._id;
+        });
+    };
+    test.deepEqual(ids(back), ids(p1));
+    test.ok(back.prevToken);
+    test.ok(back.nextToken);
+    //Objects with equal scores are paged by _id
+    var ties = {"orderBy" : {"score" : -1}, "pageSize" : 2};
+    var t1 = jb.paginate("scores", {"score" : 5}, ties);
+    ties["after"] = t1.nextToken;
+    var t2 = jb.paginate("scores", {"score" : 5}, ties);
+    test.equal(t2.nextToken, null);
+    test.deepEqual(ids(t1).concat(ids(t2)).map(String).sort(), ids(p1).map(String).sort());
+    test.throws(function() {
+        jb.paginate("scores", {}, {"orderBy" : {"score" : -1}, "after" : p1.nextToken.replace(/^./, "x")});
+    }, /Invalid pagination token/);
+    test.throws(function() {
+        jb.paginate("scores", {"n" : {"$gt" : 0}}, {"orderBy" : {"score" : -1}, "after" : p1.nextToken});
+    }, /Invalid pagination token/);
+    jb.collection("scores").paginate({"score" : {"$gte" : 3}}, {"orderBy" : {"score" : 1}, "pageSize" : 2},
+        function(err, page) {
+            test.ifError(err);
+            test.deepEqual(page.items.map(function(o) {
+                return o.score;
+            }), [3, 4]);
+            test.done();
+        });
+};
+
+module.exports.testSyncIndexes = function(test) {
+    jb.save("perches", {"name" : "Oak", "height" : 12});
+    jb.ensureStringIndex("perches", "name");
+    jb.ensureArrayIndex("perches", "tags");
+    test.deepEqual(jb.listIndexes("perches").map(function(idx) {
+        return [idx.path, idx.type];
+    }), [["name", "str"], ["tags", "arr"]]);
+    var printed = [];
+    var spec = {"name" : ["str", "istr"], "height" : "num"};
+    var plan = jb.syncIndexes("perches", spec, {"dryRun" : true, "log" : function(line) {
+        printed.push(line);
+    }});
+    test.deepEqual(plan, [
+        {"op" : "drop", "path" : "tags", "type" : "arr"},
+        {"op" : "create", "path" : "height", "type" : "num"},
+        {"op" : "create", "path" : "name", "type" : "istr"}
+    ]);
+    test.equal(printed.length, 3);
+    test.equal(printed[0], "drop arr index on 'perches.tags'");
+    test.equal(jb.listIndexes("perches").length, 2);
+    test.throws(function() {
+        jb.syncIndexes("perches", {"name" : "text"});
+    }, /Unknown index type/);
+    jb.collection("perches").syncIndexes(spec, function(err, plan) {
+        test.ifError(err);
+        test.equal(plan.length, 3);
+        test.deepEqual(jb.listIndexes("perches").map(function(idx) {
+            return [idx.path, idx.type];
+        }), [["height", "num"], ["name", "istr"], ["name", "str"]]);
+        test.deepEqual(jb.syncIndexes("perches", spec), []);
+        //Index of TTL field is kept
+        jb.setTTL("perches", "seen", 3600);
+        test.deepEqual(jb.syncIndexes("perches", spec), []);
+        jb.setTTL("perches", null);
+        test.deepEqual(jb.syncIndexes("perches", spec, {"dryRun" : true}), [
+            {"op" : "drop", "path" : "seen", "type" : "num"}
+        ]);
+        test.done();
+    });
+};
+
+module.exports.testClose = function(test) {
+    jb.promises.close().then(function() {
+        test.ok(!jb.isOpen());
+        test.done();
+    });
+};
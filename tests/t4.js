@@ -0,0 +1,1038 @@
+var EJDB = require("../ejdb.js");
+
+var jb = null;
+
+module.exports.testSetup = function(test) {
+    jb = EJDB.open("var/tdbt4", EJDB.JBOWRITER | EJDB.JBOCREAT | EJDB.JBOTRUNC);
+    test.done();
+};
+
+module.exports.testWithTransactionCommit = function(test) {
+    jb.withTransaction("orders", function(tx) {
+        test.ok(jb.getTransactionStatus("orders") === true);
+        tx.save({"item" : "parrot"});
+        return tx.promises.count();
+    }).then(function(count) {
+        test.equal(count, 1);
+        test.ok(jb.getTransactionStatus("orders") === false);
+        test.equal(jb.count("orders", {"item" : "parrot"}), 1);
+        test.done();
+    }).catch(function(err) {
+        test.ifError(err);
+        test.done();
+    });
+};
+
+module.exports.testWithTransactionRollback = function(test) {
+    jb.withTransaction("orders", function(tx) {
+        tx.save({"item" : "cockatoo"});
+        return Promise.reject(new Error("Out of stock"));
+    }).then(function() {
+        test.ok(false);
+        test.done();
+    }, function(err) {
+        test.equal(err.message, "Out of stock");
+        test.ok(jb.getTransactionStatus("orders") === false);
+        test.equal(jb.count("orders", {"item" : "cockatoo"}), 0);
+        test.done();
+    });
+};
+
+module.exports.testWithTransactionNested = function(test) {
+    jb.beginTransaction("orders");
+    jb.withTransaction("orders", function() {
+        test.ok(false);
+    }).then(function() {
+        test.ok(false);
+        test.done();
+    }, function(err) {
+        test.ok(err);
+        test.ok(jb.getTransactionStatus("orders") === true);
+        jb.rollbackTransaction("orders");
+        test.done();
+    });
+};
+
+module.exports.testMultiCollectionTransaction = function(test) {
+    var stock = {"item" : "parrot", "stock" : 1};
+    jb.save("inventory", stock);
+    var order = function(tx) {
+        tx.orders.save({"item" : "parrot"});
+        var left = tx.inventory.update({"_id" : stock["_id"], "stock" : {"$gt" : 0}, "$inc" : {"stock" : -1}});
+        if (left !== 1) {
+            throw new Error("Out of stock");
+        }
+    };
+    jb.transaction(["orders", "inventory"], order).then(function() {
+        test.equal(jb.count("orders", {"item" : "parrot"}), 2);
+        test.equal(jb.load("inventory", stock["_id"])["stock"], 0);
+        return jb.transaction(["inventory", "orders"], order);
+    }).then(function() {
+        test.ok(false);
+        test.done();
+    }, function(err) {
+        test.equal(err.message, "Out of stock");
+        test.ok(!err.partial);
+        test.ok(jb.getTransactionStatus("orders") === false);
+        test.ok(jb.getTransactionStatus("inventory") === false);
+        test.equal(jb.count("orders", {"item" : "parrot"}), 2);
+        test.done();
+    });
+};
+
+module.exports.testValidator = function(test) {
+    jb.setValidator("parrots", {
+        "type" : "object",
+        "required" : ["name"],
+        "properties" : {
+            "name" : {"type" : "string"},
+            "likes" : {"type" : "array", "items" : {"type" : "string"}}
+        }
+    });
+    var grenny = {"name" : "Grenny", "likes" : ["green color"]};
+    jb.save("parrots", grenny);
+    test.ok(grenny["_id"]);
+    try {
+        jb.save("parrots", [{"name" : "Bounty"}, {"likes" : ["sugar", 1]}]);
+        test.ok(false);
+    } catch (err) {
+        test.deepEqual(err.validationErrors.map(function(verr) {
+            return [verr.index, verr.path, verr.keyword];
+        }), [[1, "name", "required"], [1, "likes.1", "type"]]);
+    }
+    test.equal(jb.count("parrots"), 1);
+    test.throws(function() {
+        jb.save("parrots", {"_id" : grenny["_id"], "likes" : [false]}, {"$merge" : true});
+    });
+    jb.save("parrots", {"_id" : grenny["_id"], "likes" : ["red color"]}, {"$merge" : true});
+    test.equal(jb.load("parrots", grenny["_id"])["name"], "Grenny");
+    jb.save("parrots", {"name" : 1}, function(err) {
+        test.ok(err);
+        test.equal(err.validationErrors[0].path, "name");
+        test.equal(jb.count("parrots"), 1);
+        var warned = [];
+        jb.setValidator("parrots", {"required" : ["name"]}, {
+            "level" : "warn",
+            "warn" : function(err) {
+                warned.push(err);
+            }
+        });
+        jb.save("parrots", {"age" : 3});
+        test.equal(warned.length, 1);
+        test.equal(jb.count("parrots"), 2);
+        jb.setValidator("parrots", null);
+        jb.save("parrots", {"age" : 3});
+        test.equal(warned.length, 1);
+        //Update queries
+        jb.setValidator("parrots", {"properties" : {"age" : {"type" : "number", "maximum" : 10}}});
+        test.equal(jb.update("parrots", {"age" : 3, "$inc" : {"age" : 1}}), 2);
+        try {
+            jb.update("parrots", {"age" : 4, "$set" : {"age" : "four"}});
+            test.ok(false);
+        } catch (err) {
+            test.equal(err.validationErrors[0].path, "age");
+        }
+        test.equal(jb.count("parrots", {"age" : 4}), 2);
+        jb.update("parrots", {"age" : 4, "$inc" : {"age" : 10}}, function(err) {
+            test.ok(err && err.validationErrors);
+            test.equal(jb.count("parrots", {"age" : 4}), 2);
+            //Invalid object is rejected by async save
+            jb.save("parrots", {"age" : 5, "bad.key" : 1}, {"$merge" : true}, function(err) {
+                test.ok(err);
+                //Validation errors are emitted as process warnings by default
+                jb.setValidator("parrots", {"required" : ["name"]}, {"level" : "warn"});
+                var onWarning = function(warning) {
+                    if (!warning.validationErrors) {
+                        return;
+                    }
+                    process.removeListener("warning", onWarning);
+                    test.equal(warning.validationErrors[0].path, "name");
+                    jb.setValidator("parrots", null);
+                    test.done();
+                };
+                process.on("warning", onWarning);
+                jb.save("parrots", {"age" : 6});
+            });
+        });
+    });
+};
+
+module.exports.testHooks = function(test) {
+    var events = [];
+    var stamp = function(ctx) {
+        ctx.objects.forEach(function(obj) {
+            obj["audited"] = true;
+        });
+    };
+    var guard = function(ctx) {
+        if (ctx.cname === "locked") {
+            return false;
+        }
+    };
+    var reject = function(ctx) {
+        if (ctx.qobj["$dropall"]) {
+            throw new Error("Mass removal is not allowed");
+        }
+    };
+    jb.use("save", stamp).use("save", guard).use("remove", guard).use("update", reject);
+    jb.on("save", function(ctx) {
+        events.push(ctx.op + ":" + ctx.oids.length);
+    });
+    jb.on("update", function(ctx) {
+        events.push(ctx.op + ":" + ctx.count);
+    });
+    var macaw = {"name" : "Macaw"};
+    jb.save("birds", macaw);
+    test.ok(jb.load("birds", macaw["_id"])["audited"]);
+    var kea = {"name" : "Kea"};
+    test.deepEqual(jb.save("locked", kea), []);
+    test.ok(kea["audited"]);
+    test.equal(jb.count("locked"), 0);
+    test.equal(jb.update("birds", {"name" : "Macaw", "$set" : {"age" : 2}}), 1);
+    test.throws(function() {
+        jb.update("birds", {"$dropall" : true});
+    });
+    jb.save("locked", {"name" : "Kea"}, function(err, oids) {
+        test.ifError(err);
+        test.deepEqual(oids, []);
+        jb.update("birds", {"$dropall" : true}, function(err, count) {
+            test.equal(err.message, "Mass removal is not allowed");
+            test.equal(jb.count("birds"), 1);
+            jb.unuse("update", reject);
+            jb.update("birds", {"$dropall" : true}, function(err, count) {
+                test.ifError(err);
+                test.equal(count, 1);
+                test.deepEqual(events, ["save:1", "update:1", "update:1"]);
+                jb.removeAllListeners();
+                jb.unuse("save", stamp).unuse("save", guard).unuse("remove", guard);
+                test.done();
+            });
+        });
+    });
+};
+
+module.exports.testWatch = function(test) {
+    var all = [];
+    var old = [];
+    var changes = jb.watch("cages");
+    changes.on("change", function(ev) {
+        all.push(ev.type + ":" + (ev.doc ? ev.doc["name"] : ""));
+    });
+    jb.watch("cages", {"age" : {"$gt" : 3}}).on("change", function(ev) {
+        old.push(ev.type + ":" + ev["_id"]);
+    });
+    var kea = {"name" : "Kea", "age" : 3};
+    var kaka = {"name" : "Kaka", "age" : 5};
+    jb.save("cages", [kea, kaka]);
+    jb.update("cages", {"$inc" : {"age" : 1}});
+    jb.save("cages", {"_id" : kea["_id"], "age" : 10}, {"$merge" : true});
+    test.equal(jb.load("cages", kea["_id"])["name"], "Kea");
+    jb.save("cages", {"_id" : kaka["_id"], "name" : "Kaka"});
+    jb.remove("cages", kea["_id"]);
+    test.deepEqual(all, ["insert:Kea", "insert:Kaka", "update:Kea", "update:Kaka", "update:Kea", "replace:Kaka", "remove:"]);
+    test.deepEqual(old, ["insert:" + kaka["_id"], "update:" + kea["_id"], "update:" + kaka["_id"],
+                         "update:" + kea["_id"], "remove:" + kea["_id"]]);
+    jb.update("cages", {"name" : "Kaka", "$set" : {"name" : "Kaka"}});
+    test.equal(all.length, 7);
+    //Content of too many updated objects is not kept
+    var maxObjects = EJDB.WATCH_MAX_OBJECTS;
+    EJDB.WATCH_MAX_OBJECTS = 0;
+    jb.update("cages", {"$inc" : {"age" : 1}});
+    EJDB.WATCH_MAX_OBJECTS = maxObjects;
+    test.deepEqual(all.slice(7), ["update:"]);
+    //Errors of looking up changed objects are not thrown by performed write
+    var errors = [];
+    changes.on("error", function(err) {
+        errors.push(err.message);
+    });
+    var find = jb.find;
+    var finds = 0;
+    jb.find = function() {
+        if (++finds === 2) {
+            throw new Error("Lookup failed");
+        }
+        return find.apply(this, arguments);
+    };
+    test.equal(jb.update("cages", {"name" : "Kaka", "$inc" : {"age" : 1}}), 1);
+    delete jb.find;
+    test.deepEqual(errors, ["Lookup failed"]);
+    test.equal(all.length, 8);
+    changes.close();
+    jb.update("cages", {"$dropall" : true});
+    test.equal(all.length, 8);
+    test.equal(old.length, 5);
+    if (typeof Symbol.asyncIterator !== "symbol") {
+        test.done();
+        return;
+    }
+    var it = jb.watch("cages")[Symbol.asyncIterator]();
+    it.next().then(function(r) {
+        test.equal(r.value.type, "drop");
+        test.equal(r.value.cname, "cages");
+        return it["return"]();
+    }).then(function(r) {
+        test.ok(r.done);
+        test.done();
+    });
+    jb.dropCollection("cages");
+};
+
+module.exports.testWatchAsync = function(test) {
+    var evs = [];
+    var changes = jb.watch("perches", {"age" : {"$gte" : 2}});
+    changes.on("change", function(ev) {
+        evs.push(ev.type + ":" + ev.doc["name"] + ":" + ev.doc["age"]);
+        if (ev.doc["name"] === "end") {
+            test.deepEqual(evs, ["insert:Kaka:2", "update:Kea:2", "update:Kaka:3", "insert:end:9"]);
+            changes.close();
+            test.done();
+        }
+    });
+    jb.save("perches", [{"name" : "Kea", "age" : 1}, {"name" : "Kaka", "age" : 2}], function(err) {
+        test.ifError(err);
+        jb.update("perches", {"$inc" : {"age" : 1}}, function(err, count) {
+            test.ifError(err);
+            test.equal(count, 2);
+            //Update which changes nothing is not reported
+            jb.update("perches", {"name" : "Kea", "$set" : {"age" : 2}}, function(err, count) {
+                test.ifError(err);
+                test.equal(count, 1);
+                jb.save("perches", {"name" : "end", "age" : 9}, function(err) {
+                    test.ifError(err);
+                });
+            });
+        });
+    });
+};
+
+module.exports.testBulkWrite = function(test) {
+    var kea = {"name" : "Kea", "age" : 1};
+    jb.save("flock", kea);
+    var res = jb.bulkWrite("flock", [
+        {"insert" : {"name" : "Kaka", "age" : 2}},
+        {"insert" : {"_id" : kea["_id"], "name" : "Kea"}},
+        {"merge" : {"_id" : kea["_id"], "color" : "green"}},
+        {"updateMany" : {"query" : {"age" : {"$gt" : 0}}, "update" : {"$inc" : {"age" : 1}}}},
+        {"replace" : {"name" : "Nobody"}},
+        {"removeById" : kea["_id"]}
+    ], {"ordered" : false});
+    test.ok(!res.ok);
+    test.equal(res.insertedCount, 1);
+    test.equal(res.matchedCount, 3);
+    test.equal(res.removedCount, 1);
+    test.deepEqual(res.errors.map(function(r) {
+        return r.index;
+    }), [1, 4]);
+    test.equal(res.results.length, 6);
+    test.equal(jb.count("flock"), 1);
+    test.equal(jb.load("flock", res.insertedIds[0])["age"], 3);
+
+    var kaka = res.insertedIds[0];
+    res = jb.bulkWrite("flock", [{"removeById" : kaka}, {"insert" : {"_id" : kaka, "name" : "Kaka"}}]);
+    test.ok(res.ok);
+    res = jb.bulkWrite("flock", [{"insert" : {"name" : "Kea"}}, {"insert" : {"_id" : kaka}}, {"insert" : {}}]);
+    test.ok(!res.ok);
+    test.equal(res.results.length, 2);
+    test.equal(jb.count("flock"), 2);
+    res = jb.bulkWrite("flock", [
+        {"removeById" : kaka},
+        {"removeById" : kaka},
+        {"replace" : {"_id" : kaka, "name" : "Kaka"}},
+        {"merge" : {"_id" : kaka, "name" : "Kaka"}}
+    ]);
+    test.ok(res.ok);
+    test.equal(res.removedCount, 1);
+    test.deepEqual(res.upsertedIds, [kaka]);
+    test.equal(res.matchedCount, 1);
+    test.equal(res.modifiedCount, 0);
+    test.equal(jb.count("flock"), 2);
+    jb.bulkWrite("flock", [
+        {"updateMany" : {"query" : {}, "update" : {"$set" : {"age" : 10}}}},
+        {"delete" : {}},
+        {"insert" : {"name" : "Kiwi"}}
+    ], {"transaction" : true}, function(err, res) {
+        test.ifError(err);
+        test.ok(!res.ok);
+        test.ok(res.rolledBack);
+        test.equal(res.results.length, 2);
+        test.equal(res.matchedCount, 2);
+        test.equal(jb.count("flock", {"age" : 10}), 0);
+        test.equal(jb.count("flock"), 2);
+        test.ok(jb.getTransactionStatus("flock") === false);
+        testBulkWriteLookups(test, kaka);
+    });
+};
+
+function testBulkWriteLookups(test, kaka) {
+    var queries = [];
+    var find = jb.find;
+    jb.load = function() {
+        throw new Error("Unexpected load");
+    };
+    jb.find = function() {
+        queries.push(Array.prototype.slice.call(arguments, 0, 2));
+        return find.apply(this, arguments);
+    };
+    //Stored objects are loaded asynchronously by one query up to the next `updateMany`
+    jb.bulkWrite("flock", [
+        {"insert" : {"_id" : kaka}},
+        {"merge" : {"_id" : kaka, "age" : 5}},
+        {"updateMany" : {"query" : {"_id" : kaka}, "update" : {"$inc" : {"age" : 1}}}},
+        {"removeById" : kaka}
+    ], {"ordered" : false}, function(err, res) {
+        delete jb.load;
+        delete jb.find;
+        test.ifError(err);
+        test.deepEqual(res.errors.map(function(r) {
+            return r.index;
+        }), [0]);
+        test.equal(res.modifiedCount, 2);
+        test.equal(res.removedCount, 1);
+        test.deepEqual(queries, [["flock", {"_id" : {"$in" : [kaka]}}], ["flock", {"_id" : {"$in" : [kaka]}}]]);
+        test.equal(jb.count("flock"), 1);
+        //Transaction mode is not started within active transaction
+        jb.beginTransaction("flock");
+        test.throws(function() {
+            jb.bulkWrite("flock", [{"insert" : {"name" : "Kiwi"}}], {"transaction" : true});
+        }, /Transaction is already active on collection: 'flock'/);
+        jb.bulkWrite("flock", [{"insert" : {"name" : "Kiwi"}}], {"transaction" : true}, function(err) {
+            test.ok(err && /Transaction is already active/.test(err.message));
+            jb.rollbackTransaction("flock");
+            test.equal(jb.count("flock"), 1);
+            test.done();
+        });
+    });
+}
+
+module.exports.testFindAndModify = function(test) {
+    jb.save("jobs", [{"name" : "a", "state" : "pending", "prio" : 1},
+                     {"name" : "b", "state" : "pending", "prio" : 5}]);
+    var job = jb.findAndModify("jobs", {"state" : "pending"}, {"$set" : {"state" : "running"}},
+                               {"sort" : {"prio" : -1}});
+    test.equal(job["name"], "b");
+    test.equal(job["state"], "pending");
+    test.equal(jb.load("jobs", job["_id"])["state"], "running");
+    test.ok(jb.getTransactionStatus("jobs") === false);
+    test.throws(function() {
+        jb.findAndModify("jobs", {}, {"state" : "done"});
+    });
+    test.ok(jb.findAndModify("jobs", {"state" : "failed"}, {"$inc" : {"tries" : 1}}) === null);
+    var created = jb.findAndModify("jobs", {"name" : "c", "prio" : {"$gt" : 0}}, {"$inc" : {"tries" : 1}},
+                                   {"upsert" : true, "returnNew" : true});
+    test.ok(created["_id"]);
+    test.deepEqual(jb.load("jobs", created["_id"]), {"_id" : created["_id"], "name" : "c", "tries" : 1});
+    test.throws(function() {
+        jb.findAndModify("jobs", {"name" : "x"}, {"$set" : {"constructor.prototype.polluted" : 1}},
+                         {"upsert" : true});
+    }, /Invalid field path/);
+    test.strictEqual({}.polluted, undefined);
+    test.ok(jb.getTransactionStatus("jobs") === false);
+    jb.findAndModify("jobs", {"state" : "pending"}, {"$set" : {"state" : "running"}}, {"returnNew" : true},
+                     function(err, job) {
+                         test.ifError(err);
+                         test.equal(job["name"], "a");
+                         test.equal(job["state"], "running");
+                         jb.findAndModify("jobs", {"name" : "c"}, null, {"remove" : true}, function(err, job) {
+                             test.ifError(err);
+                             test.equal(job["tries"], 1);
+                             test.equal(jb.count("jobs"), 2);
+                             test.ok(jb.getTransactionStatus("jobs") === false);
+                             testConcurrentFindAndModify(test);
+                         });
+                     });
+};
+
+function testConcurrentFindAndModify(test) {
+    jb.save("jobs", [{"name" : "d", "state" : "pending"}, {"name" : "e", "state" : "pending"}]);
+    var claimed = [];
+    var order = [];
+    var claim = function(err, job) {
+        test.ifError(err);
+        claimed.push(job["name"]);
+        order.push("claim");
+        if (claimed.length < 2) {
+            return;
+        }
+        test.deepEqual(claimed.sort(), ["d", "e"]);
+        //Update is executed between calls, outside of their transactions
+        test.deepEqual(order, ["claim", "update", "claim"]);
+        test.equal(jb.count("jobs", {"state" : "pending"}), 0);
+        test.equal(jb.count("jobs", {"tries" : 2}), 1);
+        test.ok(jb.getTransactionStatus("jobs") === false);
+        jb.save("jobs", {"name" : "f"});
+        test.done();
+    };
+    jb.findAndModify("jobs", {"state" : "pending"}, {"$set" : {"state" : "running"}}, claim);
+    jb.update("jobs", {"name" : "e", "$set" : {"tries" : 2}}, function(err, count) {
+        test.ifError(err);
+        test.equal(count, 1);
+        order.push("update");
+    });
+    jb.findAndModify("jobs", {"state" : "pending"}, {"$set" : {"state" : "running"}}, claim);
+    test.throws(function() {
+        jb.findAndModify("jobs", {"state" : "pending"}, {"$set" : {"state" : "running"}});
+    }, /holding transaction is in progress on collection: 'jobs'/);
+    test.throws(function() {
+        jb.update("jobs", {"name" : "e", "$set" : {"tries" : 3}});
+    }, /holding transaction is in progress on collection: 'jobs'/);
+}
+
+module.exports.testExportImport = function(test) {
+    var stream = require("stream");
+    var birds = [
+        {"name" : "Kea", "born" : new Date(1420070400000), "call" : /^kee+a$/i, "ring" : new Buffer("K-17", "utf8")},
+        {"name" : "Kaka", "tags" : ["forest", null], "seen" : [new Date(0)]}
+    ];
+    jb.save("nestlings", birds);
+    var file = "var/tdbt4-nestlings.ndjson";
+    var queries = 0;
+    var find = jb.find;
+    jb.find = function() {
+        ++queries;
+        return find.apply(this, arguments);
+    };
+    jb.promises.exportCollection("nestlings", file, {"format" : "ndjson", "batchSize" : 1}).then(function(stats) {
+        delete jb.find;
+        test.equal(stats.exported, 2);
+        //Objects are fetched by batches of `batchSize`
+        test.equal(queries, 3);
+        return jb.promises.importCollection("fledglings", file);
+    }).then(function(stats) {
+        test.equal(stats.read, 2);
+        test.equal(stats.imported, 2);
+        test.deepEqual(stats.errors, []);
+        var kea = jb.findOne("fledglings", {"name" : "Kea"});
+        test.ok(kea["born"] instanceof Date);
+        test.equal(kea["born"].getTime(), 1420070400000);
+        test.ok(kea["call"] instanceof RegExp);
+        test.equal(String(kea["call"]), "/^kee+a$/i");
+        test.ok(Buffer.isBuffer(kea["ring"]));
+        test.equal(kea["ring"].toString("utf8"), "K-17");
+        var kaka = jb.findOne("fledglings", {"name" : "Kaka"});
+        test.deepEqual(kaka["tags"], ["forest", null]);
+        test.ok(kaka["seen"][0] instanceof Date);
+        //Objects already stored are reported in the insert mode
+        return jb.promises.importCollection("fledglings", file);
+    }).then(function(stats) {
+        test.equal(stats.imported, 0);
+        test.deepEqual(stats.errors.map(function(e) {
+            return e.line;
+        }), [1, 2]);
+        var out = new stream.PassThrough();
+        var text = "";
+        out.on("data", function(chunk) {
+            text += chunk;
+        });
+        return jb.promises.exportCollection("nestlings", out, {"query" : {"name" : "Kea"}}).then(function() {
+            var arr = JSON.parse(text);
+            test.equal(arr.length, 1);
+            test.deepEqual(arr[0]["born"], {"$date" : "2015-01-01T00:00:00.000Z"});
+            var src = new stream.PassThrough();
+            src.end("[" + EJDB.extjson.stringify({"_id" : arr[0]["_id"], "age" : 3}) + ",\n{\"name\" : }]");
+            return jb.promises.importCollection("fledglings", src, {"mode" : "upsert"});
+        });
+    }).then(function(stats) {
+        test.equal(stats.imported, 1);
+        test.deepEqual(stats.errors.map(function(e) {
+            return e.line;
+        }), [2]);
+        var kea = jb.findOne("fledglings", {"name" : "Kea"});
+        test.equal(kea["age"], 3);
+        test.ok(kea["born"] instanceof Date);
+        var src = new stream.PassThrough();
+        src.end("{\"name\" : \"Kakapo\"}\nnot json\n");
+        return jb.promises.importCollection("fledglings", src, {"maxErrors" : 0});
+    }).then(function() {
+        test.ok(false, "Import must be aborted");
+    }, function(err) {
+        test.ok(/too many bad records/.test(err.message));
+        test.equal(err.stats.read, 2);
+        test.equal(jb.count("fledglings"), 2);
+        //Objects rejected by the database are reported as bad records
+        var src = new stream.PassThrough();
+        src.end("{\"name\" : \"Kiwi\"}\n{\"bad.key\" : 1}\n");
+        return jb.promises.importCollection("fledglings", src);
+    }).then(function(stats) {
+        test.equal(stats.imported, 1);
+        test.deepEqual(stats.errors.map(function(e) {
+            return e.line;
+        }), [2]);
+        test.equal(jb.count("fledglings"), 3);
+    }).then(function() {
+        test.done();
+    }, function(err) {
+        test.ifError(err);
+        test.done();
+    });
+};
+
+module.exports.testCSV = function(test) {
+    var stream = require("stream");
+    jb.save("keepers", [
+        {"name" : "Ann, \"the keeper\"", "age" : 41, "address" : {"city" : "Omsk", "zip" : "644000"},
+            "hired" : new Date(1420070400000), "tags" : ["owls", "kea"]},
+        {"name" : "Bob", "age" : 29, "active" : true}
+    ]);
+    var out = new stream.PassThrough();
+    var text = "";
+    out.on("data", function(chunk) {
+        text += chunk;
+    });
+    //Columns are collected from the same objects as exported
+    jb.exportCSV("keepers", out, {"hints" : {"$orderby" : {"name" : -1}, "$max" : 1}}, function(err, stats) {
+        test.ifError(err);
+        test.equal(stats.exported, 1);
+        var lines = text.split("\r\n");
+        test.equal(lines.length, 3);
+        var header = lines[0].split(",");
+        test.deepEqual(header.slice().sort(), ["_id", "active", "age", "name"]);
+        var row = lines[1].split(",");
+        test.equal(row[header.indexOf("name")], "Bob");
+        test.equal(row[header.indexOf("age")], "29");
+        test.equal(row[header.indexOf("active")], "true");
+        text = "";
+        var fields = ["name", "address.city", "hired", "tags.1"];
+        jb.exportCSV("keepers", out, {"fields" : fields, "hints" : {"$orderby" : {"name" : 1}}, "delimiter" : ";"},
+            function(err) {
+                test.ifError(err);
+                test.equal(text, "name;address.city;hired;tags.1\r\n" +
+                                 "\"Ann, \"\"the keeper\"\"\";Omsk;2015-01-01T00:00:00.000Z;kea\r\n" +
+                                 "Bob;;;\r\n");
+                var src = new stream.PassThrough();
+                src.end("Full Name,age,address.zip,hired,tags.0,tags.1,active,notes\r\n" +
+                        "\"Ann, \"\"the keeper\"\"\",41,644000,2015-01-01T00:00:00.000Z,owls,kea,no,\"multi\nline\"\r\n" +
+                        "Carl,thirty,,,,,,\r\n" +
+                        "Dan,33\r\n");
+                jb.importCSV("keepers2", src, {
+                    "headerMap" : {"Full Name" : "name", "notes" : null},
+                    "types" : {"age" : "number", "hired" : "date", "active" : "boolean"}
+                }, function(err, stats) {
+                    test.ifError(err);
+                    test.equal(stats.read, 3);
+                    test.equal(stats.imported, 1);
+                    test.deepEqual(stats.errors, [
+                        {"line" : 4, "message" : "Column 'age': Invalid number: 'thirty'"},
+                        {"line" : 5, "message" : "Expected 8 fields but got 2"}
+                    ]);
+                    var ann = jb.findOne("keepers2");
+                    delete ann["_id"];
+                    test.deepEqual(ann, {
+                        "name" : "Ann, \"the keeper\"", "age" : 41, "address" : {"zip" : "644000"},
+                        "hired" : new Date(1420070400000), "tags" : ["owls", "kea"], "active" : false
+                    });
+                    var src2 = new stream.PassThrough();
+                    src2.end("name,__proto__.polluted\r\nEve,yes\r\n");
+                    jb.importCSV("keepers2", src2, function(err, stats) {
+                        test.ifError(err);
+                        test.equal(stats.imported, 0);
+                        test.deepEqual(stats.errors, [
+                            {"line" : 2, "message" : "Column '__proto__.polluted': Invalid field path: '__proto__.polluted'"}
+                        ]);
+                        test.strictEqual({}.polluted, undefined);
+                        test.done();
+                    });
+                });
+            });
+    });
+};
+
+module.exports.testBackupRestore = function(test) {
+    var fs = require("fs");
+    var path = require("path");
+    var dir = "var/tdbt4-backup";
+    var saved = [];
+    jb.ensureStringIndex("aviary", "name");
+    jb.save("aviary", {"name" : "Kea"});
+    jb.save("aviary", {"name" : "Kaka"}, function(err) {
+        test.ifError(err);
+        saved.push("Kaka");
+    });
+    jb.backup(dir, function(err, manifest) {
+        test.ifError(err);
+        //Save started before backup is completed, deferred save is not
+        test.deepEqual(saved, ["Kaka"]);
+        test.equal(manifest["db"], "tdbt4");
+        var names = manifest["files"].map(function(f) {
+            return f["name"];
+        });
+        test.ok(names.indexOf("tdbt4") !== -1);
+        test.ok(names.indexOf("tdbt4_aviary") !== -1);
+        test.ok(names.some(function(n) {
+            return n.indexOf("tdbt4_aviary.idx.") === 0;
+        }));
+        EJDB.restore(dir, "var/tdbt4-restored", function(err) {
+            test.ifError(err);
+            names.forEach(function(n) {
+                var restored = "var/tdbt4-restored" + n.substring("tdbt4".length);
+                test.ok(fs.readFileSync(restored).equals(fs.readFileSync(path.join(dir, n))));
+            });
+            fs.appendFileSync(path.join(dir, "tdbt4_aviary"), "!");
+            EJDB.verifyBackup(dir, function(err) {
+                test.ok(err);
+                test.deepEqual(err.problems, [{"name" : "tdbt4_aviary", "message" : "Checksum mismatch"}]);
+                //Backup waits for active transaction
+                var committed = false;
+                jb.beginTransaction("aviary");
+                //Backup fails if transaction is not completed in time
+                jb.backup(dir, {"txTimeout" : 0}, function(err) {
+                    test.ok(err && /still active/.test(err.message));
+                    jb.backup(dir, function(err) {
+                        test.ifError(err);
+                        test.ok(committed);
+                        EJDB.restore(dir, "var/tdbt4-restored", function(err) {
+                            test.ifError(err);
+                            test.ok(fs.readFileSync("var/tdbt4-restored_aviary").equals(
+                                fs.readFileSync(path.join(dir, "tdbt4_aviary"))));
+                            //Temporary directories are removed
+                            test.deepEqual(fs.readdirSync("var").filter(function(n) {
+                                return /^tdbt4-restored\.(restore|replaced)-/.test(n);
+                            }), []);
+                            test.done();
+                        });
+                    });
+                    jb.save("aviary", {"name" : "Takahe"}, function(err) {
+                        test.ifError(err);
+                        jb.commitTransaction("aviary");
+                        committed = true;
+                    });
+                });
+            });
+        });
+    });
+    jb.save("aviary", {"name" : "Kakapo"}, function(err) {
+        test.ifError(err);
+        saved.push("Kakapo");
+    });
+    test.throws(function() {
+        jb.save("aviary", {"name" : "Takahe"});
+    });
+    test.throws(function() {
+        jb.backup(dir, function() {
+        });
+    });
+};
+
+module.exports.testMigrate = function(test) {
+    var dir = __dirname + "/migrations";
+    var migrate = function(opts) {
+        return new Promise(function(resolve, reject) {
+            EJDB.migrate(jb, dir, opts, function(err, result) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(result);
+                }
+            });
+        });
+    };
+    var ids = function(status) {
+        return status.map(function(s) {
+            return s.id + ":" + (s.applied ? "applied" : "pending");
+        });
+    };
+    migrate({"command" : "status"}).then(function(status) {
+        test.deepEqual(ids(status), ["001-keepers:pending", "002-staff:pending", "003-audit:pending"]);
+        return migrate({"target" : "002-staff"});
+    }).then(function(applied) {
+        test.deepEqual(applied, ["001-keepers", "002-staff"]);
+        test.equal(jb.count("zookeepers", {"staff" : true}), 2);
+        jb.save("zookeepers", {"name" : "Carl", "strike" : true});
+        return migrate();
+    }).then(function() {
+        test.ok(false, "Migration must fail");
+    }, function(err) {
+        test.ok(/^Migration '003-audit' up failed: Keepers are on strike/.test(err.message));
+        test.equal(jb.count("zookeepers", {"audited" : true}), 0);
+        jb.update("zookeepers", {"strike" : true, "$dropall" : true});
+        //Lock of crashed run
+        jb.save(EJDB.MIGRATIONS_COLLECTION, {"lock" : {"pid" : 1}});
+        return migrate();
+    }).then(function() {
+        test.ok(false, "Migrations must be locked");
+    }, function(err) {
+        test.ok(/locked by another run/.test(err.message));
+        return migrate({"force" : true});
+    }).then(function(applied) {
+        test.deepEqual(applied, ["003-audit"]);
+        return migrate({"command" : "down"});
+    }).then(function() {
+        test.ok(false, "003-audit has no down function");
+    }, function(err) {
+        test.ok(/does not export 'down'/.test(err.message));
+        jb.remove(EJDB.MIGRATIONS_COLLECTION, jb.findOne(EJDB.MIGRATIONS_COLLECTION, {"migration" : "003-audit"})["_id"]);
+        //Lock of a dead run on this host is replaced
+        jb.save(EJDB.MIGRATIONS_COLLECTION, {"lock" : {"pid" : process.pid, "host" : require("os").hostname(),
+                                                       "started" : new Date(0)}});
+        return migrate({"command" : "down", "target" : "001-keepers"});
+    }).then(function(reverted) {
+        test.deepEqual(reverted, ["002-staff"]);
+        test.equal(jb.count("zookeepers", {"staff" : true}), 0);
+        return migrate({"command" : "down"});
+    }).then(function(reverted) {
+        test.deepEqual(reverted, ["001-keepers"]);
+        test.equal(jb.count("zookeepers"), 0);
+        return migrate({"command" : "status"});
+    }).then(function(status) {
+        test.deepEqual(ids(status), ["001-keepers:pending", "002-staff:pending", "003-audit:pending"]);
+        test.equal(jb.count(EJDB.MIGRATIONS_COLLECTION), 0);
+        return migrate({"command" : "sideways"});
+    }).then(function() {
+        test.ok(false, "Unknown command must be rejected");
+    }, function(err) {
+        test.ok(/Unknown migrate command/.test(err.message));
+        test.done();
+    }).catch(function(err) {
+        test.ifError(err);
+        test.done();
+    });
+};
+
+module.exports.testTTL = function(test) {
+    var now = Date.now();
+    jb.save("sessions", [
+        {"user" : "ann", "touched" : new Date(now - 3600 * 1000)},
+        {"user" : "bob", "touched" : new Date(now - 10 * 1000)},
+        {"user" : "carl"}
+    ]);
+    test.throws(function() {
+        jb.expireNow("sessions");
+    }, /has no TTL/);
+    jb.setTTL("sessions", "touched", 60);
+    test.deepEqual(jb.listIndexes("sessions").map(function(idx) {
+        return [idx.path, idx.type];
+    }), [["touched", "num"]]);
+    test.equal(jb.expireNow("sessions"), 1);
+    test.deepEqual(jb.find("sessions", {}, {"$orderby" : {"user" : 1}}).map(function(obj) {
+        return obj["user"];
+    }), ["bob", "carl"]);
+    //Periodic removal
+    var interval = EJDB.TTL_SWEEP_INTERVAL;
+    EJDB.TTL_SWEEP_INTERVAL = 10;
+    jb.setTTL("sessions", null);
+    jb.setTTL("sessions", "touched", -1, function(err) {
+        test.ok(/must be a positive number/.test(err.message));
+    });
+    jb.collection("sessions").setTTL("touched", 5, function(err) {
+        test.ifError(err);
+        EJDB.TTL_SWEEP_INTERVAL = interval;
+        //Collection with active transaction is skipped
+        jb.beginTransaction("sessions");
+        setTimeout(function() {
+            test.equal(jb.count("sessions"), 2);
+            jb.commitTransaction("sessions");
+            //Sweeper timer does not keep the process running
+            var timeout = setTimeout(function() {
+                test.ok(false, "Expired objects are not removed");
+                test.done();
+            }, 2000);
+            jb.once("update", function(ctx) {
+                clearTimeout(timeout);
+                test.equal(ctx.cname, "sessions");
+                test.equal(ctx.count, 1);
+                test.deepEqual(jb.find("sessions").map(function(obj) {
+                    return obj["user"];
+                }), ["carl"]);
+                jb.setTTL("sessions", null);
+                test.done();
+            });
+        }, 100);
+    });
+};
+
+module.exports.testCapped = function(test) {
+    test.throws(function() {
+        jb.ensureCollection("events", {"capped" : {}});
+    }, /must specify 'max' or 'size'/);
+    test.throws(function() {
+        jb.ensureCollection(EJDB.OPTIONS_COLLECTION, {});
+    }, /Collection name '_options' is reserved/);
+    jb.ensureCollection("events", {"capped" : {"max" : 3}});
+    for (var i = 0; i < 5; ++i) {
+        jb.save("events", {"seq" : i});
+    }
+    var seqs = function(cname) {
+        return jb.find(cname, {}, {"$orderby" : {"seq" : 1}}).map(function(obj) {
+            return obj["seq"];
+        });
+    };
+    test.deepEqual(seqs("events"), [2, 3, 4]);
+    jb.save("events", [{"seq" : 5}, {"seq" : 6}]);
+    test.deepEqual(seqs("events"), [4, 5, 6]);
+    //Removed objects are not counted, number of objects capped by `max` is counted by query
+    var counted = [];
+    var count = jb.count;
+    jb.count = function(cname) {
+        counted.push(cname);
+        return count.apply(this, arguments);
+    };
+    jb.remove("events", jb.findOne("events", {"seq" : 4})["_id"]);
+    jb.save("events", {"seq" : 7});
+    delete jb.count;
+    test.deepEqual(counted, ["events"]);
+    test.deepEqual(seqs("events"), [5, 6, 7]);
+    //Options of existing collection are changed only by configureCollection()
+    jb.ensureCollection("events", {"capped" : {"max" : 3}});
+    test.throws(function() {
+        jb.ensureCollection("events", {"capped" : {"max" : 100}});
+    }, /configureCollection/);
+    var meta = jb.getDBMeta().collections.filter(function(c) {
+        return (c.name === "events");
+    })[0];
+    test.deepEqual(meta.options.capped, {"max" : 3});
+
+    var size = Buffer.byteLength(EJDB.extjson.stringify({"_id" : jb.findOne("events")["_id"], "seq" : 0}));
+    jb.ensureCollection("logs", {"capped" : {"size" : size * 2}}, function(err) {
+        test.ifError(err);
+        jb.save("logs", [{"seq" : 0}, {"seq" : 1}], function(err) {
+            test.ifError(err);
+            jb.save("logs", {"seq" : 2}, function(err, oids) {
+                test.ifError(err);
+                test.equal(oids.length, 1);
+                test.deepEqual(seqs("logs"), [1, 2]);
+                //Grown object is counted by its new size
+                jb.save("logs", {"_id" : oids[0], "note" : "grown"}, {"$merge" : true});
+                test.deepEqual(seqs("logs"), [2]);
+                jb.dropCollection("logs", function(err) {
+                    test.ifError(err);
+                    jb.save("logs", [{"seq" : 0}, {"seq" : 1}, {"seq" : 2}]);
+                    test.deepEqual(seqs("logs"), [0, 1, 2]);
+                    testOptionsLoading(test, seqs);
+                });
+            });
+        });
+    });
+};
+
+function testOptionsLoading(test, seqs) {
+    //Stored options are loaded asynchronously by asynchronous operations
+    jb.close();
+    jb = EJDB.open("var/tdbt4", EJDB.JBOWRITER | EJDB.JBOCREAT);
+    var loads = [];
+    var find = jb.find;
+    jb.find = function(cname) {
+        if (cname === EJDB.OPTIONS_COLLECTION) {
+            loads.push(typeof arguments[arguments.length - 1] === "function");
+        }
+        return find.apply(this, arguments);
+    };
+    jb.save("events", {"seq" : 8}, function(err) {
+        delete jb.find;
+        test.ifError(err);
+        test.deepEqual(loads, [true]);
+        test.deepEqual(seqs("events"), [6, 7, 8]);
+        test.done();
+    });
+}
+
+module.exports.testTimestampsAndVersions = function(test) {
+    test.throws(function() {
+        jb.ensureCollection("notes", {"versioned" : "yes"});
+    }, /must be a boolean/);
+    jb.ensureCollection("notes", {"timestamps" : true, "versioned" : true});
+    var note = {"text" : "feed parrots"};
+    jb.save("notes", note);
+    test.equal(note["_v"], 1);
+    test.ok(note["createdAt"] instanceof Date);
+    test.equal(+note["createdAt"], +note["updatedAt"]);
+    var created = +note["createdAt"];
+    var copy = jb.load("notes", note["_id"]);
+    note["text"] = "feed parrots twice";
+    jb.save("notes", note);
+    test.equal(note["_v"], 2);
+    copy["text"] = "feed keepers";
+    test.throws(function() {
+        jb.save("notes", copy);
+    }, function(err) {
+        return /Version conflict/.test(err.message) &&
+               err.conflict["stored"] === 2 && err.conflict["saved"] === 1;
+    });
+    test.equal(copy["_v"], 1);
+    var stored = jb.load("notes", note["_id"]);
+    test.equal(stored["text"], "feed parrots twice");
+    test.equal(stored["_v"], 2);
+    test.equal(+stored["createdAt"], created);
+    //Merge mode checks version only if saved object has it
+    jb.save("notes", {"_id" : note["_id"], "done" : true}, {"$merge" : true});
+    test.equal(jb.load("notes", note["_id"])["_v"], 3);
+
+    //Options of existing collection
+    var legacy = {"name" : "Kesha"};
+    jb.save("legacy", legacy);
+    test.throws(function() {
+        jb.configureCollection("legacy", {"compressed" : true});
+    }, /can be set only when collection is created/);
+    jb.configureCollection("legacy", {"versioned" : true, "timestamps" : {"updatedAt" : "modified"}}, function(err) {
+        test.ifError(err);
+        test.deepEqual(jb.getDBMeta().collections.filter(function(c) {
+            return (c.name === "legacy");
+        })[0].options["timestamps"], {"updatedAt" : "modified"});
+        jb.save("legacy", legacy, function(err) {
+            test.ifError(err);
+            test.equal(legacy["_v"], 1);
+            test.ok(legacy["modified"] instanceof Date);
+            test.ok(legacy["createdAt"] === undefined);
+            jb.save("legacy", mergeCopy(legacy, {"_v" : 5}), function(err) {
+                test.ok(err && err.conflict);
+                jb.configureCollection("legacy", {"versioned" : null});
+                jb.save("legacy", mergeCopy(legacy, {"_v" : 5}));
+                test.equal(jb.load("legacy", legacy["_id"])["_v"], 5);
+                testConcurrentSaves(test);
+            });
+        });
+    });
+};
+
+function testConcurrentSaves(test) {
+    var note = {"text" : "clean cage"};
+    jb.save("notes", note);
+    var fresh = {"text" : "buy seeds"};
+    var results = [];
+    var saved = function(name) {
+        return function(err) {
+            results.push([name, err ? [err.conflict["stored"], err.conflict["saved"]] : null]);
+            if (results.length < 3) {
+                return;
+            }
+            //Second save of the same version conflicts with the first one,
+            //failed save does not roll back objects of other saves
+            test.deepEqual(results, [["first", null], ["second", [2, 1]], ["fresh", null]]);
+            var stored = jb.load("notes", note["_id"]);
+            test.equal(stored["text"], "clean cage first");
+            test.equal(stored["_v"], 2);
+            test.ok(jb.load("notes", fresh["_id"]));
+            test.ok(jb.getTransactionStatus("notes") === false);
+            //Upsert of findAndModify() is saved within its queued operation
+            jb.findAndModify("notes", {"text" : "trim claws"}, {"$set" : {"done" : false}},
+                             {"upsert" : true, "returnNew" : true}, function(err, obj) {
+                        test.ifError(err);
+                        test.equal(obj["_v"], 1);
+                        test.equal(jb.count("notes", {"text" : "trim claws"}), 1);
+                        test.done();
+                    });
+        };
+    };
+    jb.save("notes", mergeCopy(note, {"text" : "clean cage first"}), saved("first"));
+    jb.save("notes", mergeCopy(note, {"text" : "clean cage second"}), saved("second"));
+    jb.save("notes", fresh, saved("fresh"));
+    test.throws(function() {
+        jb.save("notes", {"text" : "feed parrots again"});
+    }, /holding transaction is in progress on collection: 'notes'/);
+}
+
+function mergeCopy(obj, fields) {
+    var ret = {};
+    var k;
+    for (k in obj) {
+        ret[k] = obj[k];
+    }
+    for (k in fields) {
+        ret[k] = fields[k];
+    }
+    return ret;
+}
+
+module.exports.testClose = function(test) {
+    test.ok(jb);
+    jb.close();
+    test.done();
+};
@@ -0,0 +1,149 @@
+/**************************************************************************************************
+ *  NodeJS API for EJDB database library http://ejdb.org
+ *  Copyright (C) 2012-2015 Softmotions Ltd <info@softmotions.com>
+ *
+ *  This file is part of EJDB.
+ *  EJDB is free software; you can redistribute it and/or modify it under the terms of
+ *  the GNU Lesser General Public License as published by the Free Software Foundation; either
+ *  version 2.1 of the License or any later version.  EJDB is distributed in the hope
+ *  that it will be useful, but WITHOUT ANY WARRANTY; without even the implied warranty of
+ *  MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU Lesser General Public
+ *  License for more details.
+ *  You should have received a copy of the GNU Lesser General Public License along with EJDB;
+ *  if not, write to the Free Software Foundation, Inc., 59 Temple Place, Suite 330,
+ *  Boston, MA 02111-1307 USA.
+ *************************************************************************************************/
+
+/**
+ * TTL collections used by `EJDB#setTTL()` and `EJDB#expireNow()`.
+ *
+ * TTL rules of database are kept in `db._ttl.rules`: `{cname : {field, seconds}}`,
+ * expired objects are removed by sweeper timer `db._ttl.timer`.
+ */
+
+var helpers = require('./helpers.js');
+
+/**
+ * Set TTL of collection `cname`, see `EJDB#setTTL()`.
+ * Arguments are checked by caller.
+ * @param {EJDB} db
+ * @param {String} cname Name of collection
+ * @param {String} fieldPath Path of date field or {null} to remove TTL
+ * @param {Number} seconds Time to live in seconds
+ * @param {Number} interval Sweep interval in milliseconds
+ * @param {Function} [cb] Callback function with arguments: (error)
+ */
+function setTTL(db, cname, fieldPath, seconds, interval, cb) {
+    var ttl = db._ttl;
+    if (fieldPath == null) {
+        delete ttl.rules[cname];
+        sweep(db, interval);
+        if (cb) {
+            process.nextTick(cb, null);
+        }
+        return;
+    }
+    var register = function() {
+        ttl.rules[cname] = {field : fieldPath, seconds : seconds};
+        sweep(db, interval);
+    };
+    if (!cb) {
+        db.ensureNumberIndex(cname, fieldPath);
+        register();
+        return;
+    }
+    db.ensureNumberIndex(cname, fieldPath, function(err) {
+        if (!err) {
+            register();
+        }
+        cb(err);
+    });
+}
+
+/**
+ * Remove expired objects of collection `cname`, see `EJDB#expireNow()`.
+ * @param {EJDB} db
+ * @param {String} cname Name of collection
+ * @param {Function} [cb] Callback function with arguments: (error, count)
+ * @return {Number} count of removed objects in synchronous mode otherwise returns {undefined}.
+ */
+function expireNow(db, cname, cb) {
+    var rule = db._ttl.rules[cname];
+    if (!rule) {
+        var err = new Error("Collection '" + cname + "' has no TTL");
+        if (!cb) {
+            throw err;
+        }
+        process.nextTick(cb, err);
+        return;
+    }
+    var qobj = {"$dropall" : true};
+    qobj[rule.field] = {"$lt" : new Date(Date.now() - rule.seconds * 1000)};
+    return db.update(cname, qobj, cb);
+}
+
+/**
+ * Start or stop TTL sweeper timer depending on whether TTL collections are present.
+ * @param {EJDB} db
+ * @param {Number} interval Sweep interval in milliseconds used when timer is started
+ */
+function sweep(db, interval) {
+    var ttl = db._ttl;
+    var active = Object.keys(ttl.rules).length > 0 && db.isOpen();
+    if (!active) {
+        if (ttl.timer) {
+            clearInterval(ttl.timer);
+            ttl.timer = null;
+        }
+        return;
+    }
+    if (ttl.timer) {
+        return;
+    }
+    ttl.timer = setInterval(function() {
+        if (ttl.sweeping) {
+            return;
+        }
+        var cnames = Object.keys(ttl.rules);
+        ttl.sweeping = true;
+        helpers.eachSeries(cnames, function(cname) {
+            if (!ttl.rules[cname] || !db.isOpen()) {
+                return;
+            }
+            return new Promise(function(resolve) {
+                try {
+                    //Removal would join transaction of another operation
+                    if (db.getTransactionStatus(cname)) {
+                        resolve(null);
+                        return;
+                    }
+                    db.expireNow(cname, function(err) {
+                        resolve(err);
+                    });
+                } catch (err) {
+                    resolve(err);
+                }
+            }).then(function(err) {
+                if (!err) {
+                    return;
+                }
+                if (db.listeners("error").length > 0) {
+                    db.emit("error", err);
+                } else {
+                    process.emitWarning(err);
+                }
+            });
+        }).then(function() {
+            ttl.sweeping = false;
+        }, function() {
+            ttl.sweeping = false;
+        });
+    }, interval);
+    if (typeof ttl.timer.unref === "function") {
+        ttl.timer.unref();
+    }
+}
+
+module.exports.setTTL = setTTL;
+module.exports.expireNow = expireNow;
+module.exports.sweep = sweep;